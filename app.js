@@ -1,719 +1,6488 @@
 // API Configuration
 const API_BASE_URL = 'https://simple-shop-backend.vercel.app/api';
+const MOCK_API_BASE_URL = '/mock-api';
+
+// The backend can be changed without editing this file. In order of precedence:
+// `?api=<url>&backend=mock` query params, a `window.SIMPLE_SHOP_CONFIG` object
+// defined before app.js loads, or <meta name="api-base-url"> / <meta name="api-backend"> tags.
+function resolveApiConfig() {
+    const params = new URLSearchParams(window.location.search);
+    const config = window.SIMPLE_SHOP_CONFIG || {};
+    const meta = (name) => {
+        const tag = document.querySelector(`meta[name="${name}"]`);
+        return tag ? tag.getAttribute('content') : null;
+    };
+
+    return {
+        baseURL: params.get('api') || config.baseURL || meta('api-base-url') || API_BASE_URL,
+        backend: params.get('backend') || config.backend || meta('api-backend') || 'http',
+        latency: Number(params.get('latency') || config.latency || 0)
+    };
+}
 
-class APIService {
-    constructor() {
-        this.baseURL = API_BASE_URL;
+// Rendering helpers. Everything that reaches innerHTML goes through the `html`
+// tagged template, which escapes each interpolated value; nested html`` results
+// (and arrays of them) are trusted and inserted as-is.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+class SafeHTML {
+    constructor(value) {
+        this.value = value;
     }
 
-    async apiCall(endpoint, options = {}) {
-        try {
-            const response = await fetch(`${this.baseURL}${endpoint}`, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
-            });
+    toString() {
+        return this.value;
+    }
+}
 
-            const data = await response.json();
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
 
-            if (!response.ok) {
-                console.error('API Error Response:', data);
-                throw new Error(data.message || 'API request failed');
-            }
+function renderValue(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
 
-            return data;
-        } catch (error) {
-            console.error('API Error:', error);
-            throw error;
-        }
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((result, string, i) =>
+        result + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// Plain strings are escaped, so forgetting the html tag fails safe
+function setHTML(element, content) {
+    element.innerHTML = content instanceof SafeHTML ? content.value : escapeHTML(content);
+}
+
+function placeholderImage(label = 'No image', color = '#9ca3af') {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300">` +
+        `<rect width="100%" height="100%" fill="${escapeHTML(color)}"/>` +
+        `<text x="50%" y="50%" fill="#ffffff" font-family="sans-serif" font-size="28" ` +
+        `text-anchor="middle" dominant-baseline="middle">${escapeHTML(label)}</text></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Only http(s), relative and inline image URLs may be used as image sources;
+// anything else (javascript:, data:text/html, ...) gets the fallback.
+function safeImageUrl(url, fallback = placeholderImage()) {
+    if (typeof url !== 'string' || !url.trim()) return fallback;
+
+    const value = url.trim();
+    if (/^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(value)) return value;
+    if (/^blob:/i.test(value)) return value;
+
+    try {
+        const parsed = new URL(value, window.location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? value : fallback;
+    } catch (error) {
+        return fallback;
     }
+}
 
-    async getProducts() {
-        return this.apiCall('/products');
+// Pricing rules. Shipping is looked up by destination country ('*' is the
+// fallback zone): a base rate, plus surcharges from the first quantity/weight
+// tier the order fits in, waived above `freeOver`. Weights are in kg; lines
+// without one count as `defaultItemWeight`. Tax rates are per country
+// with optional per-state overrides. Override any part with
+// `window.SIMPLE_SHOP_CONFIG.pricing`.
+const PRICING_CONFIG = {
+    currency: { code: 'USD', locale: 'en-US' },
+    defaultCountry: 'US',
+    defaultItemWeight: 0.5,
+    shipping: {
+        US: {
+            base: 9.99,
+            freeOver: 100,
+            quantityTiers: [{ upTo: 5, surcharge: 0 }, { upTo: 10, surcharge: 5 }, { surcharge: 10 }],
+            weightTiers: [{ upTo: 10, surcharge: 0 }, { upTo: 30, surcharge: 7.5 }, { surcharge: 20 }]
+        },
+        CA: {
+            base: 14.99,
+            freeOver: 150,
+            weightTiers: [{ upTo: 10, surcharge: 0 }, { surcharge: 15 }]
+        },
+        '*': {
+            base: 24.99,
+            quantityTiers: [{ upTo: 3, surcharge: 0 }, { surcharge: 10 }],
+            weightTiers: [{ upTo: 5, surcharge: 0 }, { surcharge: 25 }]
+        }
+    },
+    tax: {
+        US: { rate: 0, states: { CA: 0.0725, IL: 0.0625, NY: 0.04, TX: 0.0625, WA: 0.065 } },
+        CA: { rate: 0.05, states: { ON: 0.13, NS: 0.15, NB: 0.15, NL: 0.15, PE: 0.15 } },
+        '*': { rate: 0 }
+    },
+    taxShipping: false
+};
+
+class PricingEngine {
+    constructor(config = {}) {
+        this.config = {
+            ...PRICING_CONFIG,
+            ...config,
+            currency: { ...PRICING_CONFIG.currency, ...config.currency },
+            shipping: { ...PRICING_CONFIG.shipping, ...config.shipping },
+            tax: { ...PRICING_CONFIG.tax, ...config.tax }
+        };
+        this.formatter = new Intl.NumberFormat(this.config.currency.locale, {
+            style: 'currency',
+            currency: this.config.currency.code
+        });
     }
 
-    async getProduct(id) {
-        return this.apiCall(`/products/${id}`);
+    static round(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
     }
 
-    async createProduct(productData) {
-        return this.apiCall('/products', {
-            method: 'POST',
-            body: JSON.stringify(productData)
-        });
+    static formatRate(rate) {
+        return `${PricingEngine.round(rate * 100)}%`;
     }
 
-    async updateProduct(id, productData) {
-        return this.apiCall(`/products/${id}`, {
-            method: 'PUT',
-            body: JSON.stringify(productData)
-        });
+    static tier(tiers = [], value) {
+        return tiers.find(tier => tier.upTo === undefined || value <= tier.upTo) || { surcharge: 0 };
     }
 
-    async deleteProduct(id) {
-        return this.apiCall(`/products/${id}`, {
-            method: 'DELETE'
-        });
+    format(amount) {
+        return this.formatter.format(Number(amount) || 0);
     }
 
-    async getOrders() {
-        return this.apiCall('/orders');
+    destination(address = {}) {
+        return {
+            country: String(address.country || this.config.defaultCountry).trim().toUpperCase(),
+            state: String(address.state || '').trim().toUpperCase()
+        };
     }
 
-    async createOrder(orderData) {
-        console.log('Creating order with data:', orderData);
-        return this.apiCall('/orders', {
-            method: 'POST',
-            body: JSON.stringify(orderData)
-        });
+    shippingFor(items, subtotal, country) {
+        const zone = this.config.shipping[country] || this.config.shipping['*'];
+        if (items.length === 0) return { amount: 0, rule: '' };
+        if (zone.freeOver !== undefined && subtotal >= zone.freeOver) {
+            return { amount: 0, rule: `Free over ${this.format(zone.freeOver)}` };
+        }
+
+        const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+        const weight = items.reduce((sum, item) =>
+            sum + (Number(item.weight) || this.config.defaultItemWeight) * item.quantity, 0);
+        const amount = zone.base +
+            PricingEngine.tier(zone.quantityTiers, quantity).surcharge +
+            PricingEngine.tier(zone.weightTiers, weight).surcharge;
+
+        return { amount: PricingEngine.round(amount), rule: country in this.config.shipping ? `Standard to ${country}` : 'International' };
     }
 
-    async getOrder(id) {
-        return this.apiCall(`/orders/${id}`);
+    taxRateFor(country, state) {
+        const rates = this.config.tax[country] || this.config.tax['*'];
+        return rates.states && state in rates.states ? rates.states[state] : rates.rate;
     }
 
-    async updateOrder(id, orderData) {
-        return this.apiCall(`/orders/${id}`, {
-            method: 'PUT',
-            body: JSON.stringify(orderData)
-        });
+    describeDiscount(discount) {
+        const scope = discount.category ? ` ${discount.category}` : '';
+        if (discount.type === 'percentage') return `${discount.value}% off${scope}`;
+        if (discount.type === 'fixed') return `${this.format(discount.value)} off${scope}`;
+        return `Free shipping${discount.category ? ` on ${discount.category}` : ''}`;
     }
 
-    async deleteOrder(id) {
-        return this.apiCall(`/orders/${id}`, {
-            method: 'DELETE'
-        });
+    // Codes expire at the end of their `expiresAt` day
+    static isExpired(discount, now = new Date()) {
+        return Boolean(discount.expiresAt) && new Date(discount.expiresAt) < now;
     }
-}
 
-const api = new APIService();
+    // Lines a category-specific code applies to (all lines otherwise)
+    static eligibleItems(discount, items) {
+        return discount.category ? items.filter(item => item.category === discount.category) : items;
+    }
 
-class SimpleShop {
-    constructor() {
-        this.products = [];
-        this.orders = [];
-        this.cart = [];
-        this.isConnected = false;
+    // Why `discount` can't be used on these items, or null when it can
+    discountError(discount, items, subtotal, now = new Date()) {
+        if (discount.active === false) return `${discount.code} is no longer available`;
+        if (PricingEngine.isExpired(discount, now)) return `${discount.code} has expired`;
+        if (discount.minSpend && subtotal < discount.minSpend) {
+            return `Spend ${this.format(discount.minSpend)} or more to use ${discount.code}`;
+        }
+        if (PricingEngine.eligibleItems(discount, items).length === 0) {
+            return `${discount.code} only applies to ${discount.category} items`;
+        }
+        return null;
+    }
 
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
-        } else {
-            this.init();
+    // Merchandise discount plus any shipping it waives. A category-specific
+    // free-shipping code only covers its lines' share of the order's shipping.
+    discountAmount(discount, items, shipping) {
+        const eligible = PricingEngine.eligibleItems(discount, items)
+            .reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        switch (discount.type) {
+            case 'percentage':
+                return { merchandise: PricingEngine.round(eligible * Math.min(discount.value, 100) / 100), shipping: 0 };
+            case 'fixed':
+                return { merchandise: PricingEngine.round(Math.min(discount.value, eligible)), shipping: 0 };
+            case 'free-shipping':
+                return { merchandise: 0, shipping: total > 0 ? PricingEngine.round(shipping * eligible / total) : shipping };
+            default:
+                return { merchandise: 0, shipping: 0 };
         }
     }
 
-    async init() {
-        // Load products first
-        await this.loadProducts();
-        
-        // Then validate and load cart
-        await this.validateAndLoadCart();
-        
-        this.setupEventListeners();
-        this.updateCartDisplay();
-        this.navigateTo('products');
+    // Full breakdown for a list of `{ price, quantity, weight?, category? }`
+    // lines shipped to `address`, with an optional discount code record. This
+    // is what gets stored on the order as `pricing`. A discount that doesn't
+    // apply is left out and the reason reported as `discountError`.
+    quote(items = [], address = {}, discount = null) {
+        const { country, state } = this.destination(address);
+        const subtotal = PricingEngine.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const shipping = this.shippingFor(items, subtotal, country);
+
+        const discountError = discount ? this.discountError(discount, items, subtotal) : null;
+        const savings = discount && !discountError
+            ? this.discountAmount(discount, items, shipping.amount)
+            : { merchandise: 0, shipping: 0 };
+        const discountTotal = PricingEngine.round(savings.merchandise + savings.shipping);
+
+        const taxRate = this.taxRateFor(country, state);
+        const taxable = subtotal - savings.merchandise +
+            (this.config.taxShipping ? shipping.amount - savings.shipping : 0);
+        const tax = PricingEngine.round(taxable * taxRate);
+
+        return {
+            currency: this.config.currency.code,
+            country,
+            state,
+            subtotal,
+            shipping: shipping.amount,
+            shippingRule: shipping.rule,
+            discount: discount && !discountError
+                ? { code: discount.code, type: discount.type, description: this.describeDiscount(discount), amount: discountTotal }
+                : null,
+            discountError,
+            taxRate,
+            tax,
+            total: PricingEngine.round(subtotal + shipping.amount - discountTotal + tax)
+        };
     }
+}
 
-    // Validate cart items against database products
-    async validateAndLoadCart() {
-        try {
-            // Get cart from localStorage
-            const savedCart = JSON.parse(localStorage.getItem('cart')) || [];
-            
-            // Validate each cart item against database
-            const validatedCart = [];
-            
-            for (const cartItem of savedCart) {
-                const productExists = this.products.find(p => p._id === cartItem.id);
-                
-                if (productExists) {
-                    // Update cart item with latest product info
-                    validatedCart.push({
-                        id: productExists._id,
-                        name: productExists.name,
-                        price: productExists.price,
-                        image: productExists.image,
-                        quantity: cartItem.quantity
-                    });
+const pricing = new PricingEngine((window.SIMPLE_SHOP_CONFIG || {}).pricing);
+
+// Paging and list filters shared by APIService (for backends that return
+// whole lists) and MockBackend.
+function paginate(items, { page = 1, limit = 20 } = {}) {
+    const size = Math.max(1, Number(limit) || 20);
+    const pages = Math.max(1, Math.ceil(items.length / size));
+    const current = Math.min(Math.max(1, Number(page) || 1), pages);
+    return {
+        data: items.slice((current - 1) * size, current * size),
+        pagination: { page: current, limit: size, total: items.length, pages }
+    };
+}
+
+const LIST_FILTERS = {
+    // Every search term has to appear in the name, description or category
+    products: (product, { category = '', q = '', minPrice = '', maxPrice = '', inStock = '' }) => {
+        const text = `${product.name} ${product.description || ''} ${product.category}`.toLowerCase();
+        return (!category || product.category === category) &&
+            q.toLowerCase().split(/\s+/).filter(Boolean).every(term => text.includes(term)) &&
+            (minPrice === '' || product.price >= Number(minPrice)) &&
+            (maxPrice === '' || product.price <= Number(maxPrice)) &&
+            (!inStock || product.stock > 0);
+    },
+    orders: (order, { status = '', q = '' }) => {
+        const search = q.toLowerCase();
+        return (!status || (order.status || 'pending') === status) &&
+            (!search ||
+                String(order.customerName || '').toLowerCase().includes(search) ||
+                String(order.customerEmail || '').toLowerCase().includes(search) ||
+                order._id.toLowerCase().includes(search));
+    }
+};
+
+// Orders a list can be asked for with `sort=`; without one it keeps the
+// backend's own order
+const LIST_SORTS = {
+    products: {
+        'price-asc': (a, b) => a.price - b.price,
+        'price-desc': (a, b) => b.price - a.price,
+        newest: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+        name: (a, b) => a.name.localeCompare(b.name),
+        stock: (a, b) => b.stock - a.stock
+    }
+};
+
+// CSV for admin export and import: quoted fields, doubled quotes, CRLF or
+// LF line endings. `columns` is a list of { label, value(row) }.
+const CSV = {
+    stringify(rows, columns) {
+        const cell = (value) => {
+            if (value === undefined || value === null) return '';
+            let text = String(value);
+            // Spreadsheets run text cells starting with these as formulas
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.map(column => cell(column.label)), ...rows.map(row => columns.map(column => cell(column.value(row))))]
+            .map(line => line.join(','))
+            .join('\r\n');
+    },
+
+    // Returns an array of rows (arrays of strings); blank lines are dropped
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = String(text).replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
                 } else {
-                    console.log(`Removing invalid cart item: ${cartItem.name} (ID: ${cartItem.id})`);
+                    field += char;
                 }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
             }
-            
-            // Update cart with validated items
-            this.cart = validatedCart;
-            localStorage.setItem('cart', JSON.stringify(this.cart));
-            
-            if (savedCart.length !== validatedCart.length) {
-                this.showSuccess('Cart updated - removed items that are no longer available');
-            }
-            
-        } catch (error) {
-            console.error('Error validating cart:', error);
-            // Reset cart on error
-            this.cart = [];
-            localStorage.removeItem('cart');
         }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
     }
-
-    setupEventListeners() {
-        // Navigation buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const page = e.target.getAttribute('data-page');
-                this.navigateTo(page);
-            });
+};
+
+// Order lifecycle: pending -> processing -> shipped -> delivered. Orders can be
+// cancelled until they ship; a cancelled order can only be reopened as pending.
+const ORDER_WORKFLOW = {
+    statuses: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    transitions: {
+        pending: ['processing', 'cancelled'],
+        processing: ['shipped', 'cancelled'],
+        shipped: ['delivered'],
+        delivered: [],
+        cancelled: ['pending']
+    },
+    canTransition(from, to) {
+        return from === to || (this.transitions[from] || []).includes(to);
+    },
+    // Orders placed before history was kept only know when they were created
+    history(order) {
+        if (order.statusHistory && order.statusHistory.length > 0) return order.statusHistory;
+        const history = [{ status: 'pending', at: order.createdAt }];
+        if (order.status && order.status !== 'pending') {
+            history.push({ status: order.status, from: 'pending', at: order.updatedAt || null });
+        }
+        return history;
+    },
+    // What is left of each line once the given packages are taken out.
+    // A negative quantity means more was shipped than ordered.
+    unshipped(items, shipments = []) {
+        return items
+            .map(item => {
+                const key = VARIANTS.lineKey(item.productId, item.sku);
+                const shipped = shipments
+                    .flatMap(shipment => shipment.items || [])
+                    .filter(line => VARIANTS.lineKey(line.productId, line.sku) === key)
+                    .reduce((sum, line) => sum + (Number(line.quantity) || 0), 0);
+                return { ...item, quantity: item.quantity - shipped };
+            })
+            .filter(item => item.quantity !== 0);
+    }
+};
+
+// Reorder thresholds: a product is low on stock once it falls below its own
+// threshold, else its category's, else the store default. Running low starts
+// at twice the threshold.
+const INVENTORY = {
+    defaultThreshold: 5,
+    threshold(product, categories = []) {
+        const category = categories.find(c => c.name === product.category);
+        const own = [product.reorderThreshold, category && category.reorderThreshold]
+            .find(value => value !== undefined && value !== null && value !== '');
+        return own === undefined ? this.defaultThreshold : Number(own);
+    },
+    level(product, categories = []) {
+        const threshold = this.threshold(product, categories);
+        if (product.stock <= 0) return 'out';
+        if (product.stock < threshold) return 'low';
+        return product.stock < threshold * 2 ? 'medium' : 'good';
+    },
+    isLow(product, categories = []) {
+        return ['out', 'low'].includes(this.level(product, categories));
+    },
+    // Products that are low now but were not in `before` (or did not exist yet)
+    newlyLow(before, after, categories = []) {
+        const wasLow = new Set(before.filter(p => this.isLow(p, categories)).map(p => p._id));
+        return after.filter(p => this.isLow(p, categories) && !wasLow.has(p._id));
+    }
+};
+
+// Sizes and colors. A product with variants lists its option axes as
+// `options: [{ name, values }]` and one SKU per combination as
+// `variants: [{ sku, options: { Size, Color }, price, stock, image }]`.
+// The product's own stock is the variants' total; a variant without a price
+// or image uses the product's.
+const VARIANTS = {
+    has(product) {
+        return Array.isArray(product.variants) && product.variants.length > 0;
+    },
+    find(product, sku) {
+        return sku && this.has(product) ? product.variants.find(variant => variant.sku === sku) || null : null;
+    },
+    // The variant whose options are exactly `selection`, e.g. { Size: 'M', Color: 'Blue' }
+    match(product, selection) {
+        if (!this.has(product)) return null;
+        return product.variants.find(variant => Object.entries(variant.options)
+            .every(([axis, value]) => selection[axis] === value)) || null;
+    },
+    // What a picker starts on: the first variant in stock, else the first
+    initial(product) {
+        if (!this.has(product)) return null;
+        return product.variants.find(variant => variant.stock > 0) || product.variants[0];
+    },
+    price(product, variant) {
+        const own = variant ? variant.price : null;
+        return own === undefined || own === null || own === '' ? product.price : Number(own);
+    },
+    stock(product, variant) {
+        return variant ? variant.stock : product.stock;
+    },
+    label(variant) {
+        return variant ? Object.values(variant.options).join(' / ') : '';
+    },
+    lineName(product, variant) {
+        return variant ? `${product.name} (${this.label(variant)})` : product.name;
+    },
+    // Cart lines and order items are per product, or per variant when there is one
+    lineKey(productId, sku) {
+        return sku ? `${productId}:${sku}` : productId;
+    },
+    total(variants) {
+        return variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0);
+    },
+    // Every combination of the axes' values: S/Black, S/White, M/Black...
+    combinations(options) {
+        return options.reduce((combos, { name, values }) =>
+            combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))), [{}]);
+    },
+    defaultSku(name, options) {
+        return [name, ...Object.values(options)].join('-')
+            .toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+    // Why a variant list can't be saved, or null when it can
+    error(variants) {
+        const skus = variants.map(variant => String(variant.sku || '').trim());
+        if (skus.some(sku => !sku)) return 'Every variant needs a SKU';
+        const duplicate = skus.find((sku, i) => skus.indexOf(sku) !== i);
+        if (duplicate) return `SKU ${duplicate} is used by more than one variant`;
+        const badStock = variants.find(variant => !Number.isInteger(variant.stock) || variant.stock < 0);
+        if (badStock) return `Stock for ${badStock.sku} must be a whole number of 0 or more`;
+        const badPrice = variants.find(variant =>
+            variant.price !== undefined && variant.price !== null && !(Number(variant.price) > 0));
+        if (badPrice) return `Price for ${badPrice.sku} must be above 0`;
+        return null;
+    }
+};
+
+// Product photos. `product.images` is an ordered gallery of `{ url, thumbnail }`
+// whose first entry is the primary image; `product.image` mirrors that entry
+// for older clients. Uploads are scaled down and re-encoded in the browser and
+// stored as data URLs.
+const IMAGES = {
+    maxDimension: 1200,
+    thumbnailDimension: 240,
+    quality: 0.8,
+    maxFileBytes: 15 * 1024 * 1024,
+    list(product) {
+        if (Array.isArray(product.images) && product.images.length > 0) return product.images;
+        return product.image ? [{ url: product.image }] : [];
+    },
+    thumbnail(image) {
+        return image.thumbnail || image.url;
+    },
+    primary(product, { thumbnail = false } = {}) {
+        const [first] = this.list(product);
+        if (!first) return '';
+        return thumbnail ? this.thumbnail(first) : first.url;
+    },
+    // What the storefront shows: a variant's own photo leads the gallery
+    gallery(product, variant) {
+        const images = this.list(product);
+        const own = variant && variant.image;
+        return own ? [{ url: own }, ...images.filter(image => image.url !== own)] : images;
+    },
+    loadFile(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name} could not be read as an image`));
+            };
+            image.src = url;
         });
-
-        // Category filter
-        const categoryFilter = document.getElementById('category-filter');
-        if (categoryFilter) {
-            categoryFilter.addEventListener('change', (e) => this.filterProducts(e.target.value));
+    },
+    // Shrinks (never enlarges) to fit `dimension` and re-encodes as JPEG
+    encode(image, dimension, quality) {
+        const scale = Math.min(1, dimension / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency, which would otherwise come out black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', quality);
+    },
+    async fromFile(file) {
+        if (!/^image\//.test(file.type)) throw new Error(`${file.name} is not an image`);
+        if (file.size > this.maxFileBytes) {
+            throw new Error(`${file.name} is over ${Math.round(this.maxFileBytes / 1024 / 1024)} MB`);
         }
-
-        // Add product form
-        const addProductForm = document.getElementById('add-product-form');
-        if (addProductForm) {
-            addProductForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.submitAddProductForm();
-            });
-
-            const imageInput = addProductForm.querySelector('#product-image');
-            if (imageInput) {
-                imageInput.addEventListener('input', function() {
-                    SimpleShop.updateImagePreview(this.value);
-                });
+        const image = await this.loadFile(file);
+        return {
+            url: this.encode(image, this.maxDimension, this.quality),
+            thumbnail: this.encode(image, this.thumbnailDimension, this.quality)
+        };
+    }
+};
+
+// What a product must look like, shared by the admin forms, the CSV import
+// and the mock backend. `validate` returns the cleaned-up values in `data`
+// and one message per invalid field in `errors`. With `partial` (an update),
+// fields missing from the input are left alone.
+const PRODUCT_SCHEMA = {
+    nameMaxLength: 120,
+    descriptionMinLength: 10,
+    descriptionMaxLength: 2000,
+    required: {
+        name: 'Name is required',
+        price: 'Price is required',
+        stock: 'Stock is required',
+        category: 'Choose a category',
+        description: 'Description is required',
+        image: 'Add at least one image'
+    },
+    isUrl(url) {
+        // Same rule the storefront applies before showing an image
+        return typeof url === 'string' && safeImageUrl(url, null) === url;
+    },
+    wholeNumber(value) {
+        const number = Number(String(value).trim());
+        return Number.isInteger(number) && number >= 0 ? number : null;
+    },
+    // Each rule gets a non-blank value and returns `{ value }` or `{ error }`
+    rules: {
+        name(value) {
+            const name = String(value).trim();
+            return name.length > PRODUCT_SCHEMA.nameMaxLength
+                ? { error: `Name must be ${PRODUCT_SCHEMA.nameMaxLength} characters or fewer` }
+                : { value: name };
+        },
+        price(value) {
+            const price = Number(String(value).replace(/[$,\s]/g, ''));
+            if (!Number.isFinite(price) || price <= 0) return { error: 'Price must be a number above 0' };
+            if (Math.abs(price * 100 - Math.round(price * 100)) > 1e-6) {
+                return { error: 'Price can have at most two decimal places' };
             }
+            return { value: PricingEngine.round(price) };
+        },
+        stock(value) {
+            const stock = PRODUCT_SCHEMA.wholeNumber(value);
+            return stock === null ? { error: 'Stock must be a whole number of 0 or more' } : { value: stock };
+        },
+        reorderThreshold(value) {
+            const threshold = PRODUCT_SCHEMA.wholeNumber(value);
+            return threshold === null ? { error: 'Reorder level must be a whole number of 0 or more' } : { value: threshold };
+        },
+        // Shipping weight in kg
+        weight(value) {
+            const weight = Number(String(value).trim());
+            return Number.isFinite(weight) && weight > 0
+                ? { value: Math.round(weight * 1000) / 1000 }
+                : { error: 'Weight must be a number of kg above 0' };
+        },
+        category(value) {
+            return { value: String(value).trim() };
+        },
+        description(value) {
+            const description = String(value).trim();
+            if (description.length < PRODUCT_SCHEMA.descriptionMinLength) {
+                return { error: `Description must be at least ${PRODUCT_SCHEMA.descriptionMinLength} characters` };
+            }
+            if (description.length > PRODUCT_SCHEMA.descriptionMaxLength) {
+                return { error: `Description must be ${PRODUCT_SCHEMA.descriptionMaxLength} characters or fewer` };
+            }
+            return { value: description };
+        },
+        image(value) {
+            return PRODUCT_SCHEMA.isUrl(value)
+                ? { value }
+                : { error: 'Image must be an http(s) or image data URL' };
+        },
+        images(value) {
+            const valid = Array.isArray(value) && value.every(image => image && PRODUCT_SCHEMA.isUrl(image.url) &&
+                (!image.thumbnail || PRODUCT_SCHEMA.isUrl(image.thumbnail)));
+            return valid ? { value } : { error: 'Every image needs an http(s) or image data URL' };
+        },
+        sku(value) {
+            return { value: String(value).trim() };
+        },
+        options(value) {
+            return Array.isArray(value) ? { value } : { error: 'Options must be a list' };
+        },
+        variants(value) {
+            if (!Array.isArray(value)) return { error: 'Variants must be a list' };
+            const error = VARIANTS.error(value);
+            return error ? { error } : { value };
         }
+    },
+    blank(value) {
+        return value === undefined || value === null ||
+            (Array.isArray(value) ? value.length === 0 : String(value).trim() === '');
+    },
+    validate(input, { products = [], id = null, partial = false } = {}) {
+        const data = {};
+        const errors = {};
+        Object.entries(this.rules).forEach(([field, rule]) => {
+            const value = input[field];
+            if (partial && value === undefined) return;
+            if (this.blank(value)) {
+                if (this.required[field]) errors[field] = this.required[field];
+                else if (value !== undefined) data[field] = Array.isArray(value) ? [] : null;
+                return;
+            }
+            const result = rule(value);
+            if (result.error) errors[field] = result.error;
+            else data[field] = result.value;
+        });
 
-        // Checkout form
-        const checkoutForm = document.getElementById('checkout-form');
-        if (checkoutForm) {
-            checkoutForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleCheckout(e);
-            });
+        // The gallery's first entry is the product's image
+        if (data.images && data.images.length > 0) {
+            data.image = data.images[0].url;
+            delete errors.image;
+        } else if (data.images) {
+            errors.image = this.required.image;
         }
+        if (errors.images) delete errors.image;
 
-        // Admin tabs
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const tab = e.target.getAttribute('data-tab');
-                this.switchTab(tab);
-            });
-        });
+        if (data.variants && data.variants.length > 0) {
+            data.stock = VARIANTS.total(data.variants);
+            delete errors.stock;
+        }
 
-        // Modal close on background click
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
-                e.target.classList.add('hidden');
+        if (data.name) {
+            const duplicate = products.find(product => product._id !== id &&
+                String(product.name || '').trim().toLowerCase() === data.name.toLowerCase());
+            if (duplicate) errors.name = `A product named ${duplicate.name} already exists`;
+        }
+        return { data, errors };
+    }
+};
+
+// Who and where an order ships to. Each country lists its states or
+// provinces (code -> name), what the region and postal code are called there,
+// and the postal code format with an example for error messages. Countries
+// without `regions` take an optional free-text region.
+const CHECKOUT_SCHEMA = {
+    countries: {
+        US: {
+            name: 'United States',
+            regionLabel: 'State',
+            postalLabel: 'ZIP Code',
+            postal: /^\d{5}(-\d{4})?$/,
+            postalExample: '12345 or 12345-6789',
+            regions: {
+                AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+                CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+                HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+                LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+                MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+                NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+                OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+                SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+                VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+            }
+        },
+        CA: {
+            name: 'Canada',
+            regionLabel: 'Province',
+            postalLabel: 'Postal Code',
+            postal: /^[A-Z]\d[A-Z] \d[A-Z]\d$/,
+            postalExample: 'K1A 0B1',
+            formatPostal: (code) => code.replace(/\s/g, '').replace(/^(.{3})(.+)$/, '$1 $2'),
+            regions: {
+                AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+                NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+                ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+            }
+        },
+        GB: {
+            name: 'United Kingdom',
+            regionLabel: 'County',
+            postalLabel: 'Postcode',
+            postal: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
+            postalExample: 'SW1A 1AA',
+            formatPostal: (code) => code.replace(/\s/g, '').replace(/^(.+)(.{3})$/, '$1 $2')
+        },
+        AU: {
+            name: 'Australia',
+            regionLabel: 'State',
+            postalLabel: 'Postcode',
+            postal: /^\d{4}$/,
+            postalExample: '2000',
+            regions: {
+                ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory',
+                QLD: 'Queensland', SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+            }
+        },
+        DE: {
+            name: 'Germany',
+            regionLabel: 'State',
+            postalLabel: 'Postal Code',
+            postal: /^\d{5}$/,
+            postalExample: '10115'
+        }
+    },
+    country(code) {
+        return this.countries[String(code || '').trim().toUpperCase()] || null;
+    },
+    // Trims and collapses runs of whitespace
+    clean(value) {
+        return String(value ?? '').trim().replace(/\s+/g, ' ');
+    },
+    maxLength(value, max, label) {
+        return value.length > max ? { error: `${label} must be ${max} characters or fewer` } : { value };
+    },
+    required: {
+        firstName: 'First name is required',
+        lastName: 'Last name is required',
+        email: 'Email is required',
+        street: 'Address is required',
+        city: 'City is required',
+        zipCode: 'Postal code is required',
+        country: 'Choose a country'
+    },
+    // Each rule gets a non-blank, cleaned value and the destination country's
+    // format, and returns `{ value }` or `{ error }`
+    rules: {
+        firstName: (value) => CHECKOUT_SCHEMA.maxLength(value, 60, 'First name'),
+        lastName: (value) => CHECKOUT_SCHEMA.maxLength(value, 60, 'Last name'),
+        email(value) {
+            const email = value.toLowerCase();
+            return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)
+                ? { value: email }
+                : { error: 'Enter an email address like name@example.com' };
+        },
+        phone(value) {
+            const digits = value.replace(/\D/g, '');
+            if (!/^\+?[\d ().-]+$/.test(value) || digits.length < 7 || digits.length > 15) {
+                return { error: 'Enter a phone number with 7 to 15 digits' };
+            }
+            return { value };
+        },
+        street: (value) => CHECKOUT_SCHEMA.maxLength(value, 120, 'Address'),
+        city: (value) => CHECKOUT_SCHEMA.maxLength(value, 60, 'City'),
+        state(value, format) {
+            if (!format || !format.regions) return CHECKOUT_SCHEMA.maxLength(value, 60, 'Region');
+            // Accept the full name as well as the code
+            const code = value.toUpperCase();
+            const match = format.regions[code] ? code : Object.keys(format.regions)
+                .find(key => format.regions[key].toLowerCase() === value.toLowerCase());
+            return match ? { value: match } : { error: `Choose a ${format.regionLabel.toLowerCase()} in ${format.name}` };
+        },
+        zipCode(value, format) {
+            if (!format) return { value };
+            const upper = value.toUpperCase();
+            const code = format.formatPostal ? format.formatPostal(upper) : upper;
+            return format.postal.test(code)
+                ? { value: code }
+                : { error: `${format.postalLabel} should look like ${format.postalExample}` };
+        },
+        country(value) {
+            const code = value.toUpperCase();
+            return CHECKOUT_SCHEMA.countries[code] ? { value: code } : { error: 'We don\'t ship to that country yet' };
+        }
+    },
+    // `fields` limits the check to some of the rules, e.g. just the address
+    validate(input, { fields = Object.keys(this.rules) } = {}) {
+        const format = this.country(input.country);
+        const data = {};
+        const errors = {};
+        fields.forEach(field => {
+            const value = this.clean(input[field]);
+            const required = field === 'state' && format && format.regions
+                ? `Choose a ${format.regionLabel.toLowerCase()}`
+                : field === 'zipCode' && format ? `${format.postalLabel} is required` : this.required[field];
+            if (!value) {
+                if (required) errors[field] = required;
+                else data[field] = '';
+                return;
             }
+            const result = this.rules[field](value, format);
+            if (result.error) errors[field] = result.error;
+            else data[field] = result.value;
         });
-
-        this.setupAdminEventListeners();
+        return { data, errors };
+    },
+    // One-line-per-row postal address for summaries
+    formatAddress(address = {}) {
+        const format = this.country(address.country);
+        const locality = [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+        return [address.street, locality, format ? format.name : address.country].filter(Boolean);
     }
-
-    setupAdminEventListeners() {
-        const productSearch = document.getElementById('product-search');
-        if (productSearch) {
-            productSearch.addEventListener('input', (e) => this.searchProducts(e.target.value));
+};
+
+// Ways to pay at checkout. Cards are charged through the payment provider
+// when the order is placed; cash on delivery and bank transfers stay pending
+// until the money arrives. An order's `payment` is
+// `{ method, status, amount, currency, provider, transactionId, last4, brand, history }`
+// with status pending, paid, failed or refunded.
+const PAYMENTS = {
+    methods: {
+        card: { label: 'Credit or debit card' },
+        cod: { label: 'Cash on delivery', note: 'Pay the courier in cash or by card when your order arrives.' },
+        'bank-transfer': {
+            label: 'Bank transfer',
+            note: 'We\'ll email our bank details after you place the order. Use your order number as the reference; the order ships once the transfer arrives.'
         }
-
-        const categoryFilterAdmin = document.getElementById('category-filter-admin');
-        if (categoryFilterAdmin) {
-            categoryFilterAdmin.addEventListener('change', (e) => this.filterAdminProducts(e.target.value));
-        }
-
-        const orderSearch = document.getElementById('order-search');
-        if (orderSearch) {
-            orderSearch.addEventListener('input', (e) => this.searchOrders(e.target.value));
+    },
+    brand(number) {
+        if (/^4/.test(number)) return 'Visa';
+        if (/^(5[1-5]|2[2-7])/.test(number)) return 'Mastercard';
+        if (/^3[47]/.test(number)) return 'American Express';
+        if (/^6(011|5)/.test(number)) return 'Discover';
+        return 'Card';
+    },
+    // Catches most mistyped card numbers before they reach the provider
+    luhn(number) {
+        const sum = [...number].reverse().reduce((total, digit, i) => {
+            const value = Number(digit) * (i % 2 === 1 ? 2 : 1);
+            return total + (value > 9 ? value - 9 : value);
+        }, 0);
+        return sum % 10 === 0;
+    },
+    // Checks the checkout's card fields; errors are keyed by their ids
+    validateCard({ name, number, expiry, cvc }, now = new Date()) {
+        const data = {};
+        const errors = {};
+
+        data.name = String(name || '').trim().replace(/\s+/g, ' ');
+        if (!data.name) errors.cardName = 'Name on card is required';
+
+        data.number = String(number || '').replace(/[\s-]/g, '');
+        if (!data.number) errors.cardNumber = 'Card number is required';
+        else if (!/^\d{12,19}$/.test(data.number) || !this.luhn(data.number)) errors.cardNumber = 'That card number isn\'t valid';
+        data.brand = this.brand(data.number);
+        data.last4 = data.number.slice(-4);
+
+        const [, month, year] = String(expiry || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/) || [];
+        if (!month || Number(month) < 1 || Number(month) > 12) {
+            errors.cardExpiry = 'Enter the expiry date as MM/YY';
+        } else {
+            data.expMonth = Number(month);
+            data.expYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+            // Cards work until the end of their expiry month
+            if (new Date(data.expYear, data.expMonth, 1) <= now) errors.cardExpiry = 'This card has expired';
         }
 
-        const orderStatusFilter = document.getElementById('order-status-filter');
-        if (orderStatusFilter) {
-            orderStatusFilter.addEventListener('change', (e) => this.filterOrdersByStatus(e.target.value));
-        }
+        data.cvc = String(cvc || '').trim();
+        const cvcLength = data.brand === 'American Express' ? 4 : 3;
+        if (!new RegExp(`^\\d{${cvcLength}}$`).test(data.cvc)) errors.cardCvc = `Enter the ${cvcLength}-digit security code`;
+        return { data, errors };
+    },
+    describe(payment) {
+        if (!payment) return 'Not recorded';
+        const method = this.methods[payment.method];
+        const label = method ? method.label : payment.method;
+        return payment.last4 ? `${payment.brand || 'Card'} ending ${payment.last4}` : label;
+    }
+};
+
+// A payment provider is an object with an `id`, the `methods` it charges and
+//   charge({ amount, currency, card, reference }) resolving to
+//     { status: 'paid', transactionId } | { status: 'failed', message } |
+//     { status: 'challenge', challenge: { id, message } }
+//   confirm(challenge, code) resolving like charge; a null code cancels
+//   lookup(reference) resolving to the latest charge for that reference,
+//     { status, transactionId, amount, currency, brand, last4, message }, or null
+//   refund(payment) resolving to { status: 'refunded', refundId }
+// The browser charges the card and answers any challenge; the backend never
+// takes the browser's word for the outcome but looks the charge up by the
+// order id it was made with, and makes refunds itself. Card details go to
+// the provider only; orders keep the brand and last four digits. Choose one
+// with `window.SIMPLE_SHOP_CONFIG.payments.provider`.
+//
+// The test provider never leaves the browser and keeps its charges in
+// memory. A few card numbers trigger specific outcomes; any other valid
+// number is approved.
+class TestPaymentProvider {
+    constructor({ latency = 300 } = {}) {
+        this.id = 'test';
+        this.methods = ['card'];
+        this.latency = latency;
+        // reference -> latest charge; challenge id -> reference
+        this.charges = new Map();
+        this.challenges = new Map();
+    }
 
-        const editProductForm = document.getElementById('edit-product-form');
-        if (editProductForm) {
-            editProductForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.updateProduct();
-            });
-        }
+    static get cards() {
+        return {
+            '4000000000000002': { status: 'failed', message: 'Your card was declined' },
+            '4000000000009995': { status: 'failed', message: 'Your card has insufficient funds' },
+            '4000000000003220': { status: 'challenge' }
+        };
     }
 
-    static updateImagePreview(url) {
-        let preview = document.getElementById('image-preview');
-        if (!preview) {
-            preview = document.createElement('div');
-            preview.id = 'image-preview';
-            preview.className = 'image-preview';
-            const parent = document.getElementById('product-image');
-            if (parent && parent.parentNode) {
-                parent.parentNode.appendChild(preview);
-            }
-        }
-        preview.innerHTML = url ? `<img src="${url}" alt="Preview">` : '';
+    static get challengeCode() {
+        return '123456';
     }
 
-    switchTab(tabName) {
-        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    // Shown at checkout so testers know which numbers do what
+    get hint() {
+        return `Test mode: 4242 4242 4242 4242 is approved, 4000 0000 0000 0002 is declined and ` +
+            `4000 0000 0000 3220 asks for a verification code (${TestPaymentProvider.challengeCode}). Any future expiry date and CVC work.`;
+    }
 
-        const activeBtn = document.querySelector(`[data-tab="${tabName}"]`);
-        const activeContent = document.getElementById(`${tabName}-tab`);
+    static reference(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
 
-        if (activeBtn) activeBtn.classList.add('active');
-        if (activeContent) activeContent.classList.add('active');
+    wait() {
+        return new Promise(resolve => setTimeout(resolve, this.latency));
+    }
 
-        switch (tabName) {
-            case 'dashboard':
-                this.loadDashboardStats();
-                this.loadRecentOrders();
-                break;
-            case 'manage-products':
-                this.loadAdminProducts();
-                break;
-            case 'manage-orders':
-                this.loadOrders();
-                break;
-            case 'analytics':
-                this.loadAnalytics();
-                break;
-        }
+    // Stores the outcome against the charge and returns what the browser sees
+    settle(reference, outcome) {
+        const charge = this.charges.get(reference);
+        if (outcome.status === 'paid') outcome.transactionId = TestPaymentProvider.reference('test_ch');
+        Object.assign(charge, outcome);
+        const { status, transactionId, message } = charge;
+        return status === 'paid' ? { status, transactionId } : { status, message };
     }
 
-    async navigateTo(page) {
-        document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
-        const activeBtn = document.querySelector(`[data-page="${page}"]`);
-        if (activeBtn) activeBtn.classList.add('active');
+    async charge({ amount, currency, card, reference }) {
+        await this.wait();
+        this.charges.set(reference, {
+            status: 'pending',
+            amount,
+            currency,
+            brand: PAYMENTS.brand(card.number),
+            last4: card.number.slice(-4)
+        });
+        const outcome = TestPaymentProvider.cards[card.number];
+        if (!outcome) return this.settle(reference, { status: 'paid' });
+        if (outcome.status !== 'challenge') return this.settle(reference, { ...outcome });
 
-        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-        const targetPage = document.getElementById(`${page}-page`);
-        if (targetPage) targetPage.classList.add('active');
+        const challenge = {
+            id: TestPaymentProvider.reference('test_3ds'),
+            message: 'Your bank sent a verification code to your phone. Enter it to approve this payment.'
+        };
+        this.challenges.set(challenge.id, reference);
+        this.charges.get(reference).status = 'challenge';
+        return { status: 'challenge', challenge };
+    }
 
-        switch (page) {
-            case 'products': 
-                await this.loadProducts(); 
-                break;
-            case 'cart': 
-                await this.validateAndLoadCart();
-                this.displayCart(); 
-                break;
-            case 'checkout': 
-                await this.validateAndLoadCart();
-                this.displayCheckout(); 
-                break;
-            case 'admin': 
-                await this.loadAdminDashboard();
-                break;
-        }
+    async confirm(challenge, code) {
+        await this.wait();
+        const reference = this.challenges.get(challenge.id);
+        this.challenges.delete(challenge.id);
+        if (!reference) return { status: 'failed', message: 'This payment verification has expired' };
+        if (code === null) return this.settle(reference, { status: 'failed', message: 'Payment verification was cancelled' });
+        return String(code).trim() === TestPaymentProvider.challengeCode
+            ? this.settle(reference, { status: 'paid' })
+            : this.settle(reference, { status: 'failed', message: 'The verification code was not correct' });
     }
 
-    async loadAdminDashboard() {
-        await this.loadDashboardStats();
-        await this.loadRecentOrders();
+    async lookup(reference) {
+        await this.wait();
+        const charge = this.charges.get(reference);
+        return charge ? { ...charge } : null;
     }
 
-    async loadDashboardStats() {
-        try {
-            const [productsResponse, ordersResponse] = await Promise.all([
-                api.getProducts(),
+    // Charges made before a reload (and the demo orders') are no longer in
+    // memory; test mode refunds any test transaction it hasn't refunded yet
+    async refund(payment) {
+        await this.wait();
+        const transactionId = payment && payment.transactionId;
+        if (!transactionId || !transactionId.startsWith('test_ch_')) throw new Error('This payment has no transaction to refund');
+        const charge = [...this.charges.values()].find(entry => entry.transactionId === transactionId);
+        if (charge && charge.status === 'refunded') throw new Error('This payment has already been refunded');
+        if (charge) charge.status = 'refunded';
+        return { status: 'refunded', refundId: TestPaymentProvider.reference('test_re') };
+    }
+}
+
+// `provider` is either the id of a built-in provider or a provider object
+function createPaymentProvider(config = (window.SIMPLE_SHOP_CONFIG || {}).payments || {}) {
+    if (config.provider && typeof config.provider === 'object') return config.provider;
+    const providers = { test: TestPaymentProvider };
+    const Provider = providers[config.provider || 'test'] || TestPaymentProvider;
+    return new Provider(config);
+}
+
+const payments = createPaymentProvider();
+
+// Sales figures for the analytics tab, computed in the browser from each
+// order's items and createdAt. Cancelled orders count towards the
+// cancellation rate but not towards revenue, units or best sellers.
+class SalesAnalytics {
+    // `range` is a number of days back from `now`, or 'all'
+    constructor(orders, products = [], { range = 'all', interval = 'day', now = new Date() } = {}) {
+        const days = Number(range);
+        const earliest = orders.reduce((min, order) => {
+            const time = new Date(order.createdAt).getTime();
+            return Number.isFinite(time) ? Math.min(min, time) : min;
+        }, now.getTime());
+
+        this.interval = interval;
+        this.end = now;
+        this.start = Number.isFinite(days)
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1)
+            : SalesAnalytics.startOf('day', new Date(earliest));
+        this.orders = orders.filter(order => {
+            const time = new Date(order.createdAt).getTime();
+            return time >= this.start.getTime() && time <= now.getTime();
+        });
+        this.completed = this.orders.filter(order => order.status !== 'cancelled');
+        this.categories = new Map(products.map(product => [product._id, product.category]));
+        this.names = new Map(products.map(product => [product._id, product.name]));
+    }
+
+    // Local midnight at the start of the day, week (Monday) or month
+    static startOf(interval, date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (interval === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        if (interval === 'month') start.setDate(1);
+        return start;
+    }
+
+    static next(interval, date) {
+        const next = new Date(date);
+        if (interval === 'month') next.setMonth(next.getMonth() + 1);
+        else next.setDate(next.getDate() + (interval === 'week' ? 7 : 1));
+        return next;
+    }
+
+    static label(interval, date) {
+        return interval === 'month'
+            ? date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+            : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    summary() {
+        const revenue = this.completed.reduce((sum, order) => sum + (Number(order.totalAmount) || 0), 0);
+        const units = this.completed.reduce((sum, order) =>
+            sum + (order.items || []).reduce((count, item) => count + (Number(item.quantity) || 0), 0), 0);
+        const cancelled = this.orders.length - this.completed.length;
+        return {
+            revenue: PricingEngine.round(revenue),
+            orders: this.completed.length,
+            units,
+            averageOrderValue: this.completed.length > 0 ? PricingEngine.round(revenue / this.completed.length) : 0,
+            cancelled,
+            cancellationRate: this.orders.length > 0 ? cancelled / this.orders.length : 0
+        };
+    }
+
+    // One bucket per interval from the start of the range to now, empty ones
+    // included so the time axis has no gaps
+    series() {
+        const buckets = new Map();
+        for (let start = SalesAnalytics.startOf(this.interval, this.start); start <= this.end; start = SalesAnalytics.next(this.interval, start)) {
+            buckets.set(start.getTime(), { start, label: SalesAnalytics.label(this.interval, start), revenue: 0, orders: 0 });
+        }
+        this.completed.forEach(order => {
+            const bucket = buckets.get(SalesAnalytics.startOf(this.interval, new Date(order.createdAt)).getTime());
+            if (!bucket) return;
+            bucket.revenue += Number(order.totalAmount) || 0;
+            bucket.orders++;
+        });
+        return [...buckets.values()].map(bucket => ({ ...bucket, revenue: PricingEngine.round(bucket.revenue) }));
+    }
+
+    // Units and item revenue (price x quantity, before shipping and tax) per
+    // product, with all of a product's variants counted together
+    productTotals() {
+        const totals = new Map();
+        this.completed.forEach(order => (order.items || []).forEach(item => {
+            const key = item.productId || item.name;
+            const name = this.names.get(item.productId) || item.name;
+            const entry = totals.get(key) || { productId: item.productId, name, units: 0, revenue: 0 };
+            entry.units += Number(item.quantity) || 0;
+            entry.revenue += (Number(item.price) || 0) * (Number(item.quantity) || 0);
+            totals.set(key, entry);
+        }));
+        return [...totals.values()].map(entry => ({ ...entry, revenue: PricingEngine.round(entry.revenue) }));
+    }
+
+    bestSellers(by = 'units', limit = 5) {
+        return this.productTotals()
+            .sort((a, b) => b[by] - a[by] || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    revenueByCategory() {
+        const totals = new Map();
+        this.completed.forEach(order => (order.items || []).forEach(item => {
+            const category = this.categories.get(item.productId) || item.category || 'Uncategorized';
+            totals.set(category, (totals.get(category) || 0) + (Number(item.price) || 0) * (Number(item.quantity) || 0));
+        }));
+        return [...totals.entries()]
+            .map(([label, value]) => ({ label, value: PricingEngine.round(value) }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    statusCounts() {
+        return ORDER_WORKFLOW.statuses
+            .map(status => ({ label: status, value: this.orders.filter(order => (order.status || 'pending') === status).length }))
+            .filter(slice => slice.value > 0);
+    }
+}
+
+// Small SVG charts for the analytics tab. Points are { label, value };
+// `format` renders a value for axis labels and tooltips.
+const CHARTS = {
+    width: 600,
+    height: 220,
+    padding: { top: 16, right: 16, bottom: 28, left: 64 },
+    colors: 8,
+
+    empty(message = 'No data for this period') {
+        return html`<p class="text-muted">${message}</p>`;
+    },
+
+    // Up to `count` evenly spaced indexes, always including the first and last
+    labelIndexes(length, count = 6) {
+        if (length <= count) return [...Array(length).keys()];
+        const step = (length - 1) / (count - 1);
+        return [...new Set(Array.from({ length: count }, (_, i) => Math.round(i * step)))];
+    },
+
+    frame(points) {
+        const { width, height, padding } = CHARTS;
+        const max = Math.max(...points.map(point => point.value), 0) || 1;
+        const plotWidth = width - padding.left - padding.right;
+        return {
+            max,
+            plotWidth,
+            y: (value) => height - padding.bottom - (value / max) * (height - padding.top - padding.bottom),
+            axes: (format, x) => html`
+                <line class="chart-axis" x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}"></line>
+                <text class="chart-label" x="${padding.left - 8}" y="${padding.top + 4}" text-anchor="end">${format(max)}</text>
+                <text class="chart-label" x="${padding.left - 8}" y="${height - padding.bottom}" text-anchor="end">${format(0)}</text>
+                ${CHARTS.labelIndexes(points.length).map(i => html`
+                    <text class="chart-label" x="${x(i).toFixed(1)}" y="${height - 8}" text-anchor="middle">${points[i].label}</text>
+                `)}
+            `
+        };
+    },
+
+    line(points, format = String) {
+        if (points.every(point => point.value === 0)) return CHARTS.empty();
+        const { padding } = CHARTS;
+        const { plotWidth, y, axes } = CHARTS.frame(points);
+        const x = (i) => padding.left + (points.length === 1 ? plotWidth / 2 : (i * plotWidth) / (points.length - 1));
+        const path = points.map((point, i) => `${x(i).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+
+        return html`
+            <svg class="chart" viewBox="0 0 ${CHARTS.width} ${CHARTS.height}" role="img">
+                ${axes(format, x)}
+                <polyline class="chart-line" points="${path}"></polyline>
+                ${points.map((point, i) => html`
+                    <circle class="chart-point" cx="${x(i).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3">
+                        <title>${point.label}: ${format(point.value)}</title>
+                    </circle>
+                `)}
+            </svg>
+        `;
+    },
+
+    bar(points, format = String) {
+        if (points.every(point => point.value === 0)) return CHARTS.empty();
+        const { padding, height } = CHARTS;
+        const { plotWidth, y, axes } = CHARTS.frame(points);
+        const slot = plotWidth / points.length;
+        const x = (i) => padding.left + slot * (i + 0.5);
+
+        return html`
+            <svg class="chart" viewBox="0 0 ${CHARTS.width} ${CHARTS.height}" role="img">
+                ${axes(format, x)}
+                ${points.map((point, i) => html`
+                    <rect class="chart-bar" x="${(x(i) - slot * 0.35).toFixed(1)}" y="${y(point.value).toFixed(1)}"
+                        width="${(slot * 0.7).toFixed(1)}" height="${(height - padding.bottom - y(point.value)).toFixed(1)}">
+                        <title>${point.label}: ${format(point.value)}</title>
+                    </rect>
+                `)}
+            </svg>
+        `;
+    },
+
+    // Anything past the palette is folded into "Other"
+    pie(slices, format = String) {
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        if (total === 0) return CHARTS.empty();
+
+        const shown = slices.length > CHARTS.colors
+            ? [...slices.slice(0, CHARTS.colors - 1), {
+                label: 'Other',
+                value: slices.slice(CHARTS.colors - 1).reduce((sum, slice) => sum + slice.value, 0)
+            }]
+            : slices;
+        const [cx, cy, r] = [100, 100, 90];
+        const point = (angle) => `${(cx + r * Math.cos(angle)).toFixed(2)} ${(cy + r * Math.sin(angle)).toFixed(2)}`;
+        let angle = -Math.PI / 2;
+
+        const wedges = shown.map((slice, i) => {
+            const sweep = (slice.value / total) * 2 * Math.PI;
+            const start = angle;
+            angle += sweep;
+            const title = html`<title>${slice.label}: ${format(slice.value)}</title>`;
+            if (sweep >= 2 * Math.PI - 1e-6) {
+                return html`<circle class="chart-color-${i}" cx="${cx}" cy="${cy}" r="${r}">${title}</circle>`;
+            }
+            return html`
+                <path class="chart-color-${i}" d="M ${cx} ${cy} L ${point(start)} A ${r} ${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle)} Z">${title}</path>
+            `;
+        });
+
+        return html`
+            <div class="chart-pie">
+                <svg viewBox="0 0 200 200" role="img">${wedges}</svg>
+                <ul class="chart-legend">
+                    ${shown.map((slice, i) => html`
+                        <li>
+                            <span class="chart-swatch chart-color-${i}"></span>
+                            <span>${slice.label}</span>
+                            <strong>${format(slice.value)}</strong>
+                            <span class="text-muted">${Math.round((slice.value / total) * 100)}%</span>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `;
+    }
+};
+
+// Every failure coming out of APIService is an ApiError. `code` tells callers
+// what went wrong: HTTP (the server answered with an error status), TIMEOUT,
+// NETWORK or ABORTED (superseded or cancelled by the caller).
+class ApiError extends Error {
+    constructor(message, { code = 'HTTP', status = 0, endpoint = '', method = 'GET', body = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.body = body;
+        this.cause = cause;
+    }
+
+    get isAborted() {
+        return this.code === 'ABORTED';
+    }
+
+    get isRetryable() {
+        return this.code === 'TIMEOUT' || this.code === 'NETWORK' ||
+            this.status === 429 || this.status >= 500;
+    }
+
+    // Validation messages keyed by field, from a body shaped like
+    // `{ errors: { price: '...' } }` or `{ errors: [{ field, message }] }`
+    get fieldErrors() {
+        const errors = this.body && this.body.errors;
+        if (!errors || typeof errors !== 'object') return null;
+        const entries = Array.isArray(errors)
+            ? errors.map(entry => entry ? [entry.field || entry.path || entry.param, entry.message || entry.msg] : [])
+            : Object.entries(errors).map(([field, entry]) => [field, entry && typeof entry === 'object' ? entry.message : entry]);
+        const valid = entries.filter(([field, message]) => field && message);
+        return valid.length > 0 ? Object.fromEntries(valid.map(([field, message]) => [String(field), String(message)])) : null;
+    }
+}
+
+// A transport is any function with the signature of `fetch(url, init)` that
+// resolves to a Response, so the mock backend can stand in for the network.
+//
+// GETs are cached per endpoint. `cacheTTL` maps endpoint prefixes to how long
+// (ms) a response counts as fresh; after that it is still served immediately
+// while a background request revalidates it and subscribers are told about
+// the new data. Writes invalidate the collections they touch.
+class APIService {
+    constructor({
+        baseURL = API_BASE_URL,
+        transport = null,
+        backend = 'http',
+        timeout = 10000,
+        retries = 2,
+        retryDelay = 500,
+        cacheTTL = { '/products': 60000, '/orders': 15000, '/categories': 60000 }
+    } = {}) {
+        this.baseURL = baseURL;
+        this.backend = backend;
+        this.transport = transport || ((url, init) => fetch(url, init));
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.inFlight = new Map();
+        this.cacheTTL = cacheTTL;
+        this.cache = new Map();
+        this.pendingGets = new Map();
+        // Endpoints whose backend returned a whole list when asked for a page
+        this.unpagedEndpoints = new Set();
+        this.listeners = new Set();
+        this.authToken = null;
+        this.onUnauthorized = null;
+    }
+
+    // Sent as a Bearer token on every request. A 401 on an authenticated
+    // request means the session is gone, so `onUnauthorized` is told about it.
+    setAuthToken(token) {
+        this.authToken = token || null;
+    }
+
+    clearCache() {
+        this.cache.clear();
+        this.pendingGets.clear();
+    }
+
+    setTransport(transport, backend = 'custom') {
+        this.transport = transport;
+        this.backend = backend;
+    }
+
+    // Options on top of the usual fetch init:
+    //   timeout   - ms before the attempt is aborted (default this.timeout)
+    //   retries   - extra attempts on timeouts, network errors, 429 and 5xx;
+    //               only GETs retry unless this is set explicitly
+    //   cancelKey - a newer call with the same key aborts this one
+    //   signal    - an AbortSignal the caller can use to cancel
+    async apiCall(endpoint, options = {}) {
+        const { timeout = this.timeout, retries, cancelKey, signal, headers, ...init } = options;
+        const method = (init.method || 'GET').toUpperCase();
+        const maxRetries = retries !== undefined ? retries : (method === 'GET' ? this.retries : 0);
+
+        const controller = new AbortController();
+        if (cancelKey) {
+            const previous = this.inFlight.get(cancelKey);
+            if (previous) previous.abort();
+            this.inFlight.set(cancelKey, controller);
+        }
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        const request = {
+            ...init,
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {}),
+                ...headers
+            }
+        };
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.send(endpoint, request, controller.signal, timeout);
+                } catch (error) {
+                    if (attempt >= maxRetries || !error.isRetryable) throw error;
+                    await this.wait(this.retryDelay * 2 ** attempt, controller.signal, endpoint, method);
+                }
+            }
+        } catch (error) {
+            if (!error.isAborted) console.error('API Error:', error);
+            if (error.status === 401 && request.headers.Authorization && this.onUnauthorized) {
+                this.onUnauthorized(error);
+            }
+            throw error;
+        } finally {
+            if (cancelKey && this.inFlight.get(cancelKey) === controller) {
+                this.inFlight.delete(cancelKey);
+            }
+        }
+    }
+
+    // One attempt. Races the transport against the abort signal so timeouts and
+    // cancellation work even with transports that ignore `init.signal`.
+    async send(endpoint, request, signal, timeout) {
+        const attempt = new AbortController();
+        const details = { endpoint, method: request.method };
+        let timedOut = false;
+
+        const onAbort = () => attempt.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => {
+            timedOut = true;
+            attempt.abort();
+        }, timeout);
+
+        const aborted = new Promise((resolve, reject) => {
+            const fail = () => reject(timedOut
+                ? new ApiError(`Request timed out after ${timeout}ms`, { ...details, code: 'TIMEOUT' })
+                : new ApiError('Request was cancelled', { ...details, code: 'ABORTED' }));
+            if (attempt.signal.aborted) fail();
+            attempt.signal.addEventListener('abort', fail, { once: true });
+        });
+        // The loser of the race below may reject later; that rejection is expected
+        aborted.catch(() => {});
+
+        try {
+            const exchange = (async () => {
+                let response;
+                try {
+                    response = await this.transport(`${this.baseURL}${endpoint}`, { ...request, signal: attempt.signal });
+                } catch (error) {
+                    throw new ApiError('Could not reach the server', { ...details, code: 'NETWORK', cause: error });
+                }
+
+                const body = await APIService.parseBody(response);
+                if (!response.ok) {
+                    const message = (body && typeof body === 'object' && body.message) ||
+                        response.statusText || 'API request failed';
+                    throw new ApiError(message, { ...details, status: response.status, body });
+                }
+                return body;
+            })();
+
+            return await Promise.race([exchange, aborted]);
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // Error pages and empty 204s are common, so the body is only parsed as JSON
+    // when it looks like JSON; anything else comes back as text (or null).
+    static async parseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        const contentType = (response.headers && response.headers.get('content-type')) || '';
+        if (contentType.includes('json') || /^\s*[{[]/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    wait(ms, signal, endpoint, method) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request was cancelled', { endpoint, method, code: 'ABORTED' }));
+            }, { once: true });
+        });
+    }
+
+    getTTL(endpoint) {
+        const prefix = Object.keys(this.cacheTTL)
+            .filter(key => endpoint.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.cacheTTL[prefix] : 0;
+    }
+
+    // Callers get their own copy of the envelope so sorting or pushing into
+    // `data` can't corrupt what is cached.
+    static copy(response) {
+        if (!response || typeof response !== 'object') return response;
+        return { ...response, data: Array.isArray(response.data) ? [...response.data] : response.data };
+    }
+
+    // Cached GET. Pass `force: true` to skip the cache (e.g. refresh buttons).
+    async cachedGet(endpoint, { force = false, ...options } = {}) {
+        const ttl = this.getTTL(endpoint);
+        const entry = this.cache.get(endpoint);
+
+        if (ttl > 0 && entry && !force) {
+            if (Date.now() - entry.fetchedAt >= ttl) {
+                this.fetchAndCache(endpoint, options, true).catch(() => {});
+            }
+            return APIService.copy(entry.response);
+        }
+
+        return APIService.copy(await this.fetchAndCache(endpoint, options, false));
+    }
+
+    // Concurrent requests for the same endpoint share one network call
+    fetchAndCache(endpoint, options, notify) {
+        if (this.pendingGets.has(endpoint)) return this.pendingGets.get(endpoint);
+
+        const request = this.apiCall(endpoint, options)
+            .then(response => {
+                // An invalidation while this was in flight means the result may be stale
+                if (this.pendingGets.get(endpoint) === request) {
+                    if (this.getTTL(endpoint) > 0) {
+                        this.cache.set(endpoint, { response, fetchedAt: Date.now() });
+                    }
+                    if (notify) this.notify(endpoint, APIService.copy(response));
+                }
+                return response;
+            })
+            .finally(() => {
+                if (this.pendingGets.get(endpoint) === request) this.pendingGets.delete(endpoint);
+            });
+
+        this.pendingGets.set(endpoint, request);
+        return request;
+    }
+
+    invalidate(prefix) {
+        [...this.cache.keys(), ...this.pendingGets.keys()]
+            .filter(endpoint => endpoint.startsWith(prefix))
+            .forEach(endpoint => {
+                this.cache.delete(endpoint);
+                this.pendingGets.delete(endpoint);
+            });
+    }
+
+    // Listeners are called with (endpoint, response) when a background
+    // revalidation brings in newer data than what was served from cache.
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(endpoint, response) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(endpoint, response);
+            } catch (error) {
+                console.error('API listener error:', error);
+            }
+        });
+    }
+
+    async mutate(endpoint, options, invalidates) {
+        const response = await this.apiCall(endpoint, options);
+        invalidates.forEach(prefix => this.invalidate(prefix));
+        return response;
+    }
+
+    async login(email, password) {
+        return this.apiCall('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password })
+        });
+    }
+
+    async register(name, email, password) {
+        return this.apiCall('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ name, email, password })
+        });
+    }
+
+    async getProfile() {
+        return this.apiCall('/auth/me');
+    }
+
+    async updateProfile(profileData) {
+        return this.apiCall('/auth/me', {
+            method: 'PUT',
+            body: JSON.stringify(profileData)
+        });
+    }
+
+    async getProducts(options = {}) {
+        return this.cachedGet('/products', options);
+    }
+
+    // `GET /products?page=&limit=&category=&q=&minPrice=&maxPrice=&inStock=&sort=`
+    // resolves to `{ data, pagination: { page, limit, total, pages } }`
+    async getProductsPage(params = {}, options = {}) {
+        return this.getPage('products', params, options);
+    }
+
+    async getProduct(id, options = {}) {
+        return this.cachedGet(`/products/${id}`, options);
+    }
+
+    async createProduct(productData) {
+        return this.mutate('/products', {
+            method: 'POST',
+            body: JSON.stringify(productData)
+        }, ['/products']);
+    }
+
+    async updateProduct(id, productData) {
+        return this.mutate(`/products/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(productData)
+        }, ['/products']);
+    }
+
+    // Records a delivery; the server adds it to the current stock. Backends
+    // without the restock endpoint are sent the new total instead, worked out
+    // from a fresh read of the product.
+    async restockProduct(id, quantity) {
+        try {
+            return await this.mutate(`/products/${id}/restock`, {
+                method: 'POST',
+                body: JSON.stringify({ quantity })
+            }, ['/products']);
+        } catch (error) {
+            if (error.status !== 404 && error.status !== 405) throw error;
+            const { data: product } = await this.getProduct(id, { force: true });
+            return this.updateProduct(id, {
+                stock: (Number(product.stock) || 0) + quantity,
+                restocks: [...(product.restocks || []), { quantity, at: new Date().toISOString() }]
+            });
+        }
+    }
+
+    async deleteProduct(id) {
+        return this.mutate(`/products/${id}`, {
+            method: 'DELETE'
+        }, ['/products']);
+    }
+
+    // Category endpoints. Renaming or removing a category rewrites the
+    // products (and discount codes) filed under it.
+    async getCategories(options = {}) {
+        return this.cachedGet('/categories', options);
+    }
+
+    async createCategory(categoryData) {
+        return this.mutate('/categories', {
+            method: 'POST',
+            body: JSON.stringify(categoryData)
+        }, ['/categories']);
+    }
+
+    async updateCategory(id, categoryData) {
+        return this.mutate(`/categories/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(categoryData)
+        }, ['/categories', '/products', '/discounts']);
+    }
+
+    // `reassignTo` names the category that takes over this one's products,
+    // which is how two categories are merged
+    async deleteCategory(id, reassignTo = '') {
+        const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : '';
+        return this.mutate(`/categories/${id}${query}`, {
+            method: 'DELETE'
+        }, ['/categories', '/products', '/discounts']);
+    }
+
+    // `GET /orders?page=&limit=&status=&q=`, shaped like getProductsPage()
+    async getOrdersPage(params = {}, options = {}) {
+        return this.getPage('orders', params, options);
+    }
+
+    // A backend that ignores the paging parameters sends back the whole
+    // list; it's filtered and paged here so callers always get one page.
+    // That list is cached under the bare endpoint, so other pages and
+    // filters reuse it instead of downloading it again.
+    async getPage(collection, { page = 1, limit = 20, ...filters } = {}, options = {}) {
+        const endpoint = `/${collection}`;
+        let response;
+        if (this.unpagedEndpoints.has(endpoint)) {
+            response = await this.cachedGet(endpoint, options);
+        } else {
+            const query = Object.entries({ page, limit, ...filters })
+                .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+                .join('&');
+            response = await this.cachedGet(`${endpoint}?${query}`, options);
+            if (response.pagination) return response;
+
+            this.unpagedEndpoints.add(endpoint);
+            if (this.getTTL(endpoint) > 0) this.cache.set(endpoint, { response: APIService.copy(response), fetchedAt: Date.now() });
+        }
+
+        const items = (response.data || []).filter(item => LIST_FILTERS[collection](item, filters));
+        const compare = (LIST_SORTS[collection] || {})[filters.sort];
+        return { ...response, ...paginate(compare ? items.sort(compare) : items, { page, limit }) };
+    }
+
+    async getOrders(options = {}) {
+        return this.cachedGet('/orders', options);
+    }
+
+    // Stock belongs to the backend; the client only re-reads it to warn the
+    // shopper early (checkCartStock). Any backend has to, atomically:
+    // - on POST /orders, take each line's quantity off the product (or the
+    //   variant named by its `sku`), or change nothing and answer 409 with
+    //   `{ message, conflicts: [{ productId, sku, name, requested, available }] }`
+    // - on PUT /orders/:id moving to cancelled, put the items back; moving a
+    //   cancelled order anywhere else takes them again, with the same 409
+    // - on DELETE /orders/:id of an order that isn't cancelled, put them back
+    // MockBackend (stockConflicts, adjustStock) is the reference.
+    async createOrder(orderData) {
+        console.log('Creating order with data:', orderData);
+        return this.mutate('/orders', {
+            method: 'POST',
+            body: JSON.stringify(orderData)
+        }, ['/orders', '/products', '/discounts']);
+    }
+
+    async getOrder(id, options = {}) {
+        return this.cachedGet(`/orders/${id}`, options);
+    }
+
+    async updateOrder(id, orderData) {
+        return this.mutate(`/orders/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(orderData)
+        }, ['/orders', '/products']);
+    }
+
+    // Payments. A card order is created with `payment.status` pending and,
+    // for guests, a `checkoutToken` beside `data` in the response. Once the
+    // browser has charged the card (with the order id as the reference), this
+    // asks the backend to look the charge up with the provider and settle the
+    // order: paid, or failed and cancelled with its stock put back. The backend
+    // must also cancel card orders left unpaid for long, as MockBackend does.
+    async recordPayment(id, checkoutToken = null) {
+        return this.mutate(`/orders/${id}/payment`, {
+            method: 'POST',
+            body: JSON.stringify(checkoutToken ? { checkoutToken } : {})
+        }, ['/orders', '/products']);
+    }
+
+    // The backend refunds the whole payment with the provider
+    async refundOrder(id) {
+        return this.mutate(`/orders/${id}/refund`, {
+            method: 'POST'
+        }, ['/orders']);
+    }
+
+    async deleteOrder(id) {
+        return this.mutate(`/orders/${id}`, {
+            method: 'DELETE'
+        }, ['/orders', '/products']);
+    }
+
+    // Discount code endpoints
+    async getDiscounts(options = {}) {
+        return this.cachedGet('/discounts', options);
+    }
+
+    // Public lookup used by the cart; listing codes needs a staff session
+    async validateDiscount(code) {
+        return this.apiCall('/discounts/validate', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async createDiscount(discountData) {
+        return this.mutate('/discounts', {
+            method: 'POST',
+            body: JSON.stringify(discountData)
+        }, ['/discounts']);
+    }
+
+    async updateDiscount(id, discountData) {
+        return this.mutate(`/discounts/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(discountData)
+        }, ['/discounts']);
+    }
+
+    async deleteDiscount(id) {
+        return this.mutate(`/discounts/${id}`, {
+            method: 'DELETE'
+        }, ['/discounts']);
+    }
+}
+
+// In-memory backend implementing the same /products and /orders CRUD routes
+// and `{ data }` envelope as the real API. State is persisted to localStorage
+// so a demo survives a refresh; call reset() to go back to the seed catalog.
+//
+// POST /auth/login and /auth/register issue bearer tokens; /auth/me reads and
+// updates the signed-in profile. Reading the catalog and placing orders are
+// public, customers only ever see their own orders and everything else needs
+// a staff token.
+class MockBackend {
+    constructor({ baseURL = MOCK_API_BASE_URL, latency = 0, storageKey = 'mockBackend', persist = true } = {}) {
+        this.baseURL = baseURL;
+        this.latency = latency;
+        this.storageKey = storageKey;
+        this.persist = persist;
+        // Ids of the uploaded photos saved under keys of their own (see packImages)
+        this.storedImages = new Set();
+        this.db = this.load();
+        this.fetch = this.fetch.bind(this);
+    }
+
+    static get sessionTTL() {
+        return 8 * 60 * 60 * 1000;
+    }
+
+    static seedUsers() {
+        return [
+            { _id: 'user-manager', name: 'Store Manager', email: 'manager@simpleshop.test', password: 'manager123', role: 'manager' },
+            { _id: 'user-viewer', name: 'Store Viewer', email: 'viewer@simpleshop.test', password: 'viewer123', role: 'viewer' },
+            {
+                _id: 'user-customer',
+                name: 'Jane Doe',
+                email: 'jane@example.com',
+                password: 'customer123',
+                role: 'customer',
+                addresses: [{
+                    id: 'address-home',
+                    label: 'Home',
+                    firstName: 'Jane',
+                    lastName: 'Doe',
+                    phone: '555-0100',
+                    street: '1 Main St',
+                    city: 'Springfield',
+                    state: 'IL',
+                    zipCode: '62701',
+                    country: 'US',
+                    isDefault: true
+                }]
+            }
+        ];
+    }
+
+    static get requiredFields() {
+        return {
+            // Products are checked field by field against PRODUCT_SCHEMA
+            products: [],
+            orders: ['customerName', 'customerEmail', 'items'],
+            discounts: ['code', 'type'],
+            categories: ['name']
+        };
+    }
+
+    static seedCategories(products = []) {
+        const names = ['Electronics', 'Fashion', 'Home', 'Books', 'Sports'];
+        products.forEach(product => {
+            if (product.category && !names.includes(product.category)) names.push(product.category);
+        });
+        return names.map((name, i) => ({
+            _id: MockBackend.generateId(Date.now() - 1000 - i),
+            name,
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    static seedDiscounts() {
+        const now = Date.now();
+        const day = 24 * 60 * 60 * 1000;
+        const expires = (days) => new Date(now + days * day).toISOString();
+
+        return [
+            ['WELCOME10', 'percentage', 10, '', 0, '', 'Welcome offer for new customers'],
+            ['SAVE20', 'fixed', 20, '', 150, expires(90), '$20 off orders over $150'],
+            ['FREESHIP', 'free-shipping', 0, '', 25, '', 'Free shipping over $25'],
+            ['BOOKWORM', 'percentage', 15, 'Books', 0, expires(30), '15% off all books'],
+            ['SUMMER25', 'percentage', 25, '', 0, expires(-10), 'Last summer\'s sale']
+        ].map(([code, type, value, category, minSpend, expiresAt, description], i) => ({
+            _id: MockBackend.generateId(now - 100 - i),
+            code,
+            type,
+            value,
+            category,
+            minSpend,
+            expiresAt,
+            description,
+            active: true,
+            uses: 0,
+            createdAt: new Date(now - (10 + i) * day).toISOString()
+        }));
+    }
+
+    static seed() {
+        const now = Date.now();
+        const day = 24 * 60 * 60 * 1000;
+        const products = [
+            ['Wireless Headphones', 129.99, 25, 'Noise-cancelling over-ear headphones with 30-hour battery life.', 'Electronics', '#2563eb', 0.4],
+            ['Smart Watch', 199.5, 4, 'Fitness tracking, heart-rate monitoring and notifications on your wrist.', 'Electronics', '#1d4ed8', 0.1],
+            ['Denim Jacket', 79, 12, 'Classic washed denim jacket with a relaxed fit.', 'Fashion', '#0d9488', 0.9],
+            ['Running Sneakers', 95, 8, 'Lightweight breathable sneakers built for daily runs.', 'Sports', '#f59e0b', 0.8],
+            ['Ceramic Mug Set', 34.99, 40, 'Set of four handmade stoneware mugs.', 'Home', '#6b7280', 2.2],
+            ['Desk Lamp', 45, 2, 'Dimmable LED desk lamp with adjustable arm.', 'Home', '#4b5563', 1.6],
+            ['The Pragmatic Programmer', 39.95, 18, 'A classic guide to software craftsmanship.', 'Books', '#dc2626', 0.7],
+            ['Yoga Mat', 29.99, 30, 'Non-slip 6mm mat with carrying strap.', 'Sports', '#22c55e', 1.5]
+        ].map(([name, price, stock, description, category, color, weight], i) => ({
+            _id: MockBackend.generateId(now - i),
+            name,
+            price,
+            stock,
+            description,
+            category,
+            weight,
+            image: placeholderImage(name, color),
+            createdAt: new Date(now - (30 - i) * day).toISOString()
+        }));
+
+        // Clothing and shoes come in sizes (and colors); stock is held per variant
+        const withVariants = (product, options, stocks, prices = {}) => {
+            const variants = VARIANTS.combinations(options).map((combo, i) => ({
+                sku: VARIANTS.defaultSku(product.name, combo),
+                options: combo,
+                price: prices[Object.values(combo).join('/')] ?? null,
+                stock: stocks[i],
+                image: ''
+            }));
+            Object.assign(product, { options, variants, stock: VARIANTS.total(variants) });
+        };
+        withVariants(products[2], [
+            { name: 'Size', values: ['S', 'M', 'L'] },
+            { name: 'Color', values: ['Blue', 'Black'] }
+        ], [2, 1, 3, 2, 4, 0], { 'L/Blue': 84, 'L/Black': 84 });
+        withVariants(products[3], [{ name: 'Size', values: ['40', '42', '44'] }], [3, 4, 1]);
+        products[2].images = [{ url: products[2].image }, { url: placeholderImage('Denim Jacket (back)', '#0f766e') }];
+
+        const orders = [
+            { customer: ['Jane Doe', 'jane@example.com', 'user-customer'], status: 'delivered', lines: [[0, 1], [4, 2]], age: 12 },
+            { customer: ['John Smith', 'john@example.com'], status: 'shipped', lines: [[3, 1]], age: 4 },
+            { customer: ['Ada Lovelace', 'ada@example.com'], status: 'pending', lines: [[6, 1], [7, 1]], age: 1 }
+        ].map(({ customer, status, lines, age }, i) => {
+            const items = lines.map(([index, quantity]) => {
+                const variant = VARIANTS.initial(products[index]);
+                return {
+                    productId: products[index]._id,
+                    ...(variant ? { sku: variant.sku } : {}),
+                    name: VARIANTS.lineName(products[index], variant),
+                    price: VARIANTS.price(products[index], variant),
+                    weight: products[index].weight,
+                    quantity
+                };
+            });
+            const address = { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US' };
+            const quote = pricing.quote(items, address);
+            // One step a day along the workflow up to the seeded status
+            const steps = ORDER_WORKFLOW.statuses.slice(0, ORDER_WORKFLOW.statuses.indexOf(status) + 1);
+            const statusHistory = steps.map((step, n) => ({
+                status: step,
+                ...(n > 0 ? { from: steps[n - 1] } : {}),
+                at: new Date(now - (age - n) * day).toISOString(),
+                by: n > 0 ? 'Store Manager' : customer[0]
+            }));
+            const shipments = ['shipped', 'delivered'].includes(status) ? [{
+                id: `${i + 1}-1`,
+                carrier: 'UPS',
+                trackingNumber: `1Z999AA1012345678${i}`,
+                shippedAt: new Date(now - (age - 2) * day).toISOString().slice(0, 10),
+                items: items.map(({ productId, sku, name, quantity }) => ({ productId, ...(sku ? { sku } : {}), name, quantity }))
+            }] : [];
+            const placedAt = new Date(now - age * day).toISOString();
+            const payment = {
+                method: 'card',
+                status: 'paid',
+                amount: quote.total,
+                currency: quote.currency,
+                provider: 'test',
+                transactionId: `test_ch_seed${i + 1}`,
+                brand: 'Visa',
+                last4: '4242',
+                history: [{ status: 'pending', at: placedAt }, { status: 'paid', at: placedAt }]
+            };
+            return {
+                _id: MockBackend.generateId(now + i + 1),
+                customerName: customer[0],
+                customerEmail: customer[1],
+                ...(customer[2] ? { customerId: customer[2] } : {}),
+                customerPhone: '',
+                address,
+                items,
+                pricing: quote,
+                totalAmount: quote.total,
+                status,
+                statusHistory,
+                shipments,
+                payment,
+                createdAt: placedAt
+            };
+        });
+
+        return {
+            products,
+            orders,
+            categories: MockBackend.seedCategories(products),
+            discounts: MockBackend.seedDiscounts(),
+            users: MockBackend.seedUsers(),
+            sessions: {},
+            // order id -> the token its checkout pays with (see handlePayment)
+            checkoutTokens: {}
+        };
+    }
+
+    // 24 hex characters, the same shape as the MongoDB ids the real API returns
+    static generateId(seed = Date.now()) {
+        const timestamp = Math.floor(seed / 1000).toString(16).padStart(8, '0');
+        let random = '';
+        for (let i = 0; i < 16; i++) {
+            random += Math.floor(Math.random() * 16).toString(16);
+        }
+        return (timestamp + random).slice(0, 24);
+    }
+
+    load() {
+        if (this.persist) {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.storageKey));
+                if (saved && Array.isArray(saved.products) && Array.isArray(saved.orders)) {
+                    const users = saved.users || [];
+                    const missingUsers = MockBackend.seedUsers().filter(seed => !users.some(u => u._id === seed._id));
+                    return {
+                        sessions: {},
+                        checkoutTokens: {},
+                        categories: MockBackend.seedCategories(saved.products),
+                        discounts: MockBackend.seedDiscounts(),
+                        ...saved,
+                        products: saved.products.map(product => MockBackend.mapImages(product, url => this.unpackImage(url))),
+                        users: [...users, ...missingUsers]
+                    };
+                }
+            } catch (error) {
+                console.error('Error reading mock backend data:', error);
+            }
+        }
+        return MockBackend.seed();
+    }
+
+    // Throws when localStorage is full; handle() then rolls the change back
+    save() {
+        if (!this.persist) return;
+        const { products, used } = this.packImages(this.db.products);
+        localStorage.setItem(this.storageKey, JSON.stringify({ ...this.db, products }));
+        // Photos no product uses any more
+        [...this.storedImages].filter(id => !used.has(id)).forEach(id => {
+            localStorage.removeItem(this.imageKey(id));
+            this.storedImages.delete(id);
+        });
+    }
+
+    // Uploaded photos are base64 data URLs, far bigger than the rest of the
+    // data put together. They're saved once each under their own key and the
+    // products keep a `mock-image:<id>` reference, so a full quota fails the
+    // upload that caused it rather than every order and stock change after it.
+    static isUpload(url) {
+        return typeof url === 'string' && /^data:image\/[\w.+-]+;base64,/.test(url);
+    }
+
+    static imageId(url) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < url.length; i++) {
+            hash = Math.imul(hash ^ url.charCodeAt(i), 0x01000193);
+        }
+        return `${(hash >>> 0).toString(36)}${url.length.toString(36)}`;
+    }
+
+    imageKey(id) {
+        return `${this.storageKey}:image:${id}`;
+    }
+
+    // Applies `convert` to every image URL a product holds
+    static mapImages(product, convert) {
+        const mapped = { ...product, image: convert(product.image) };
+        if (Array.isArray(product.images)) {
+            mapped.images = product.images.map(image => ({ ...image, url: convert(image.url), thumbnail: convert(image.thumbnail) }));
+        }
+        if (Array.isArray(product.variants)) {
+            mapped.variants = product.variants.map(variant => ({ ...variant, image: convert(variant.image) }));
+        }
+        return mapped;
+    }
+
+    packImages(products) {
+        const used = new Set();
+        const pack = (url) => {
+            if (!MockBackend.isUpload(url)) return url;
+            const id = MockBackend.imageId(url);
+            if (!this.storedImages.has(id)) {
+                localStorage.setItem(this.imageKey(id), url);
+                this.storedImages.add(id);
+            }
+            used.add(id);
+            return `mock-image:${id}`;
+        };
+        return { products: products.map(product => MockBackend.mapImages(product, pack)), used };
+    }
+
+    unpackImage(url) {
+        if (typeof url !== 'string' || !url.startsWith('mock-image:')) return url;
+        const id = url.slice('mock-image:'.length);
+        const image = localStorage.getItem(this.imageKey(id));
+        if (image === null) return placeholderImage('Photo unavailable');
+        this.storedImages.add(id);
+        return image;
+    }
+
+    reset() {
+        this.db = MockBackend.seed();
+        this.save();
+    }
+
+    findCategory(name) {
+        const normalized = String(name || '').trim().toLowerCase();
+        return this.db.categories.find(category => category.name.toLowerCase() === normalized) || null;
+    }
+
+    // Moves every product and discount code filed under `from` to `to`
+    recategorize(from, to) {
+        let moved = 0;
+        this.db.products.forEach(product => {
+            if (product.category === from) {
+                product.category = to;
+                moved++;
+            }
+        });
+        this.db.discounts.forEach(discount => {
+            if (discount.category === from) discount.category = to;
+        });
+        return moved;
+    }
+
+    // PUT renames a category; DELETE removes it, moving its products to
+    // `?reassignTo=` first (a merge). Deleting a category that still has
+    // products without saying where they go is refused.
+    handleCategory(method, id, payload, query) {
+        const category = this.db.categories.find(c => c._id === id);
+        if (!category) return { status: 404, body: { message: 'Category not found' } };
+
+        if (method === 'PUT') {
+            const threshold = payload.reorderThreshold;
+            if (threshold !== undefined && threshold !== null && !(Number.isInteger(threshold) && threshold >= 0)) {
+                return { status: 400, body: { message: 'The reorder threshold must be a whole number of 0 or more' } };
+            }
+            // The threshold can be changed on its own, without a rename
+            const name = payload.name === undefined && threshold !== undefined ? category.name : String(payload.name || '').trim();
+            if (!name) return { status: 400, body: { message: 'Missing required fields: name' } };
+            const existing = this.findCategory(name);
+            if (existing && existing !== category) {
+                return { status: 409, body: { message: `Category ${name} already exists` } };
+            }
+            const moved = name === category.name ? 0 : this.recategorize(category.name, name);
+            category.name = name;
+            if (threshold !== undefined) category.reorderThreshold = threshold;
+            category.updatedAt = new Date().toISOString();
+            this.save();
+            return { status: 200, body: { data: category, message: `${moved} products updated` } };
+        }
+
+        if (method === 'DELETE') {
+            const count = this.db.products.filter(p => p.category === category.name).length;
+            const target = query.get('reassignTo') ? this.findCategory(query.get('reassignTo')) : null;
+            if (query.get('reassignTo') && (!target || target === category)) {
+                return { status: 400, body: { message: 'Choose a different, existing category to move products to' } };
+            }
+            if (count > 0 && !target) {
+                return { status: 409, body: { message: `${category.name} still has ${count} products` } };
+            }
+            if (target) this.recategorize(category.name, target.name);
+            this.db.categories = this.db.categories.filter(c => c !== category);
+            this.save();
+            return { status: 200, body: { data: category, message: 'Category deleted' } };
+        }
+
+        return { status: 405, body: { message: `Method ${method} not allowed on /categories/${id}` } };
+    }
+
+    // Adds the units received to the product's stock and keeps a log of deliveries
+    handleRestock(method, id, payload, user) {
+        if (method !== 'POST') return { status: 405, body: { message: `Method ${method} not allowed on /products/${id}/restock` } };
+        const product = this.db.products.find(p => p._id === id);
+        if (!product) return { status: 404, body: { message: 'Product not found' } };
+        if (VARIANTS.has(product)) {
+            return { status: 409, body: { message: `Stock for ${product.name} is kept per variant; update the variants instead` } };
+        }
+        if (!Number.isInteger(payload.quantity) || payload.quantity < 1) {
+            return { status: 400, body: { message: 'The quantity received must be a whole number of at least 1' } };
+        }
+
+        const at = new Date().toISOString();
+        product.stock += payload.quantity;
+        product.restocks = [...(product.restocks || []), { quantity: payload.quantity, at, by: user.name }];
+        product.updatedAt = at;
+        this.save();
+        return { status: 200, body: { data: product } };
+    }
+
+    // Checkout asks for an order's card payment to be checked once the
+    // browser is done with the provider. The order's customer, a manager or
+    // whoever holds the checkout token the order was created with may ask; the
+    // outcome always comes from the provider, never from the request. Refunds
+    // are for managers and are made with the provider here too.
+    async handlePayment(method, id, action, payload, user) {
+        if (method !== 'POST') return { status: 405, body: { message: `Method ${method} not allowed on /orders/${id}/${action}` } };
+        const order = this.db.orders.find(o => o._id === id &&
+            (!user || user.role !== 'customer' || MockBackend.ownsOrder(user, o)));
+        if (!order) return { status: 404, body: { message: 'Order not found' } };
+        if (!order.payment) return { status: 409, body: { message: 'This order has no payment to update' } };
+
+        const at = new Date().toISOString();
+        if (action === 'refund') {
+            if (!user || user.role !== 'manager') return { status: 403, body: { message: 'Your role does not allow this action' } };
+            if (order.payment.status !== 'paid') {
+                return { status: 409, body: { message: `A payment that is ${order.payment.status} cannot be refunded` } };
+            }
+            let refund;
+            try {
+                refund = await payments.refund(order.payment);
+            } catch (error) {
+                return { status: 409, body: { message: `The payment provider did not accept the refund: ${error.message}` } };
+            }
+            order.payment = {
+                ...order.payment,
+                status: 'refunded',
+                refundId: refund.refundId || null,
+                refundedAt: at,
+                history: [...(order.payment.history || []), { status: 'refunded', at, by: user.name }]
+            };
+        } else {
+            const trusted = user && (user.role === 'manager' || user.role === 'customer');
+            const token = this.db.checkoutTokens[order._id];
+            if (!trusted && !(token && payload.checkoutToken === token)) {
+                return { status: 403, body: { message: 'Only the customer who placed this order can pay for it' } };
+            }
+            if (order.payment.method !== 'card') {
+                return { status: 409, body: { message: 'Only card payments are taken at checkout' } };
+            }
+            const refused = await this.settleCardPayment(order, at, {
+                by: 'Payment failed',
+                unpaid: 'No payment was completed for this order'
+            });
+            if (refused) return refused;
+        }
+        order.updatedAt = at;
+        this.save();
+        return { status: 200, body: { data: order } };
+    }
+
+    // Records what the provider says happened to an order's card payment.
+    // A completed charge for the full amount pays a pending order; anything
+    // else fails the payment and cancels the order, and money taken for an
+    // order that can no longer use it is refunded. Returns a response when
+    // the order's payment was already settled.
+    async settleCardPayment(order, at, { by, unpaid }) {
+        const charge = await payments.lookup(order._id);
+        const pending = order.payment.status === 'pending' && (order.status || 'pending') === 'pending';
+
+        if (charge && charge.status === 'paid') {
+            // The charge this order was already paid with, reported again
+            if (order.payment.status === 'paid' && order.payment.transactionId === charge.transactionId) {
+                return { status: 200, body: { data: order } };
+            }
+            if (pending && PricingEngine.round(charge.amount) === PricingEngine.round(order.payment.amount)) {
+                order.payment = {
+                    ...order.payment,
+                    status: 'paid',
+                    provider: payments.id,
+                    transactionId: charge.transactionId,
+                    brand: charge.brand || null,
+                    last4: charge.last4 || null,
+                    message: null,
+                    history: [...(order.payment.history || []), { status: 'paid', at }]
+                };
+                delete this.db.checkoutTokens[order._id];
+                return null;
+            }
+
+            // Any other charge can't be used by this order and goes back
+            await payments.refund({ transactionId: charge.transactionId });
+            let message = 'This order was cancelled before the payment went through, so the payment has been refunded';
+            if (pending) message = 'The amount charged did not match the order, so the payment has been refunded';
+            if (order.payment.status === 'paid') message = 'This order was already paid for, so the second payment has been refunded';
+            if (pending) {
+                this.failPayment(order, message, at, by);
+                this.save();
+            }
+            return { status: 409, body: { message } };
+        }
+
+        if (!pending) {
+            const message = order.payment.status === 'pending' ? `This order is ${order.status}` : `This order's payment is already ${order.payment.status}`;
+            return { status: 409, body: { message } };
+        }
+        if (charge) Object.assign(order.payment, { brand: charge.brand || null, last4: charge.last4 || null });
+        this.failPayment(order, (charge && charge.status === 'failed' && charge.message) || unpaid, at, by);
+        return null;
+    }
+
+    // A failed payment cancels the order and puts its stock back. The checkout
+    // token stays, so a payment that completes afterwards can still be
+    // reported and refunded.
+    failPayment(order, message, at, by) {
+        order.payment = {
+            ...order.payment,
+            status: 'failed',
+            message,
+            history: [...(order.payment.history || []), { status: 'failed', at, note: message }]
+        };
+        if ((order.status || 'pending') !== 'pending') return;
+        this.adjustStock(order.items || [], 1);
+        const discount = order.discountCode ? this.findDiscount(order.discountCode) : null;
+        if (discount && discount.uses > 0) discount.uses -= 1;
+        order.statusHistory = [...ORDER_WORKFLOW.history(order), { status: 'cancelled', from: 'pending', at, by }];
+        order.status = 'cancelled';
+    }
+
+    // Card orders hold their stock while the shopper pays. Ones still unpaid
+    // after `paymentWindow` (a closed tab, an abandoned verification) are
+    // checked with the provider and cancelled unless the charge went through.
+    static get paymentWindow() {
+        return 15 * 60 * 1000;
+    }
+
+    async expireUnpaidOrders(now = Date.now()) {
+        const stale = this.db.orders.filter(order => order.payment && order.payment.method === 'card' &&
+            order.payment.status === 'pending' && (order.status || 'pending') === 'pending' &&
+            now - new Date(order.createdAt).getTime() > MockBackend.paymentWindow);
+        if (stale.length === 0) return;
+
+        const at = new Date(now).toISOString();
+        for (const order of stale) {
+            await this.settleCardPayment(order, at, { by: 'Payment expired', unpaid: 'The payment was not completed in time' });
+            order.updatedAt = at;
+        }
+        this.save();
+    }
+
+    findDiscount(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return this.db.discounts.find(discount => discount.code === normalized && discount.active !== false) || null;
+    }
+
+    // Order lines only carry a product id; the price is the catalog's, not the
+    // client's, category-specific codes need the category and the shipping
+    // tiers need the weight
+    withCatalogDetails(items) {
+        return items.map(item => {
+            const product = this.db.products.find(p => p._id === item.productId);
+            if (!product) return item;
+            const price = VARIANTS.price(product, VARIANTS.find(product, item.sku));
+            return { ...item, price, category: product.category, weight: product.weight };
+        });
+    }
+
+    // Lines asking for more than is on the shelf, summed per product or variant
+    stockConflicts(items) {
+        const requested = new Map();
+        items.forEach(item => {
+            const key = VARIANTS.lineKey(item.productId, item.sku);
+            const line = requested.get(key) || { productId: item.productId, sku: item.sku, name: item.name, requested: 0 };
+            line.requested += Number(item.quantity) || 0;
+            requested.set(key, line);
+        });
+        return [...requested.values()]
+            .map(line => {
+                const product = this.db.products.find(p => p._id === line.productId);
+                const variant = product && line.sku ? VARIANTS.find(product, line.sku) : null;
+                const available = !product || (line.sku && !variant) ? 0 : VARIANTS.stock(product, variant);
+                return { ...line, name: product ? VARIANTS.lineName(product, variant) : line.name, available };
+            })
+            .filter(line => line.requested > line.available);
+    }
+
+    // direction -1 reserves an order's items, +1 puts them back on the shelf
+    adjustStock(items, direction) {
+        items.forEach(item => {
+            const product = this.db.products.find(p => p._id === item.productId);
+            if (!product) return;
+            const variant = VARIANTS.find(product, item.sku);
+            if (variant) {
+                variant.stock = Math.max(0, variant.stock + direction * (Number(item.quantity) || 0));
+                product.stock = VARIANTS.total(product.variants);
+            } else {
+                product.stock = Math.max(0, product.stock + direction * (Number(item.quantity) || 0));
+            }
+        });
+    }
+
+    // The gallery's first image is the product's `image`. Setting `image` on
+    // its own (as older clients and the CSV import do) replaces that first image.
+    static normalizeImages(record, payload) {
+        if (payload.images === undefined) {
+            if (payload.image !== undefined && Array.isArray(record.images) && record.images.length > 0) {
+                payload.images = [{ url: payload.image }, ...record.images.slice(1)];
+            }
+            return null;
+        }
+        if (!Array.isArray(payload.images) || payload.images.some(image => !image || !image.url ||
+            safeImageUrl(image.url, null) !== image.url || (image.thumbnail && safeImageUrl(image.thumbnail, null) !== image.thumbnail))) {
+            return { status: 400, body: { message: 'Every image needs an http(s) or image data URL' } };
+        }
+        payload.image = payload.images.length > 0 ? payload.images[0].url : '';
+        return null;
+    }
+
+    // Contact details and address go through the same rules as the checkout
+    // form. Orders from clients that don't send a country ship to the default.
+    static checkoutError(order) {
+        const address = order.address || {};
+        const { data, errors } = CHECKOUT_SCHEMA.validate({
+            ...address,
+            country: address.country || pricing.config.defaultCountry,
+            email: order.customerEmail,
+            phone: order.customerPhone
+        }, { fields: ['email', 'phone', 'street', 'city', 'state', 'zipCode', 'country'] });
+        const messages = Object.values(errors);
+        if (messages.length > 0) return { status: 400, body: { message: messages.join('; '), errors } };
+
+        const { email, phone, ...rest } = data;
+        order.customerName = CHECKOUT_SCHEMA.clean(order.customerName);
+        order.customerEmail = email;
+        order.customerPhone = phone;
+        order.address = { ...address, ...rest };
+        return null;
+    }
+
+    // Runs the shared product rules and keeps their cleaned-up values.
+    // Rejections list a message per field so forms can show them in place.
+    static productError(payload, options) {
+        const { data, errors } = PRODUCT_SCHEMA.validate(payload, options);
+        const messages = Object.values(errors);
+        if (messages.length > 0) return { status: 400, body: { message: messages.join('; '), errors } };
+        Object.assign(payload, data);
+        return null;
+    }
+
+    // Variant stock is the source of truth; the product's stock follows it
+    static variantError(record, payload) {
+        if (payload.variants !== undefined) {
+            if (!Array.isArray(payload.variants)) return { status: 400, body: { message: 'variants must be a list' } };
+            const message = VARIANTS.error(payload.variants);
+            return message ? { status: 400, body: { message } } : null;
+        }
+        if (payload.stock !== undefined && VARIANTS.has(record)) {
+            return { status: 409, body: { message: `Stock for ${record.name} is kept per variant; update the variants instead` } };
+        }
+        return null;
+    }
+
+    // Packages can only be added while an order is being prepared, must not
+    // ship more than was ordered, and the order only counts as shipped once
+    // everything is in a package.
+    static shipmentError(order, payload) {
+        const shipments = payload.shipments || order.shipments || [];
+        const from = order.status || 'pending';
+        if (payload.shipments && !['processing', 'shipped'].includes(payload.status || from)) {
+            return { status: 409, body: { message: `Packages can't be added to an order that is ${from}` } };
+        }
+
+        const incomplete = shipments.find(shipment =>
+            !String(shipment.carrier || '').trim() ||
+            !String(shipment.trackingNumber || '').trim() ||
+            !shipment.shippedAt ||
+            !(shipment.items || []).length ||
+            shipment.items.some(line => !Number.isInteger(line.quantity) || line.quantity < 1));
+        if (incomplete) {
+            return { status: 400, body: { message: 'Each package needs a carrier, tracking number, ship date and at least one item' } };
+        }
+
+        const remaining = ORDER_WORKFLOW.unshipped(order.items || [], shipments);
+        if (remaining.some(item => item.quantity < 0)) {
+            return { status: 400, body: { message: 'A package contains more units than were ordered' } };
+        }
+        if ((payload.status || from) === 'shipped' && remaining.length > 0) {
+            const units = remaining.reduce((sum, item) => sum + item.quantity, 0);
+            return { status: 409, body: { message: `${units} unit(s) have not been packed into a shipment yet` } };
+        }
+        return null;
+    }
+
+    static stockConflictResponse(conflicts) {
+        const summary = conflicts.map(line => line.available > 0
+            ? `${line.name}: only ${line.available} left`
+            : `${line.name}: no longer available`).join('; ');
+        return { status: 409, body: { message: `Not enough stock. ${summary}`, conflicts } };
+    }
+
+    static profile(user) {
+        const { password, ...profile } = user;
+        return profile;
+    }
+
+    // What the cart needs to price a code; usage counts stay with the staff
+    static publicDiscount({ code, type, value, category, minSpend, expiresAt, description }) {
+        return { code, type, value, category, minSpend, expiresAt, description };
+    }
+
+    // Orders belong to the account that placed them; a matching email alone is not proof of
+    // ownership, since anyone can register an address a guest once checked out with
+    static ownsOrder(user, order) {
+        return Boolean(order.customerId) && order.customerId === user._id;
+    }
+
+    handleAuth(method, action, payload, user) {
+        if (action === 'login' && method === 'POST') return this.login(payload);
+        if (action === 'register' && method === 'POST') return this.register(payload);
+
+        if (action === 'me') {
+            if (!user) return { status: 401, body: { message: 'Authentication required' } };
+
+            if (method === 'GET') {
+                return { status: 200, body: { data: MockBackend.profile(user) } };
+            }
+            if (method === 'PUT') {
+                // Role, email and password can't be changed through the profile
+                if (typeof payload.name === 'string' && payload.name.trim()) user.name = payload.name.trim();
+                if (Array.isArray(payload.addresses)) user.addresses = payload.addresses;
+                this.save();
+                return { status: 200, body: { data: MockBackend.profile(user) } };
+            }
+        }
+
+        return { status: 404, body: { message: `Route ${method} /auth/${action} not found` } };
+    }
+
+    login({ email = '', password = '' }) {
+        const user = this.db.users.find(u => u.email.toLowerCase() === String(email).trim().toLowerCase());
+        if (!user || user.password !== password) {
+            return { status: 401, body: { message: 'Invalid email or password' } };
+        }
+        return { status: 200, body: { data: this.createSession(user) } };
+    }
+
+    register({ name = '', email = '', password = '' }) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        if (!String(name).trim() || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+            return { status: 400, body: { message: 'A name and a valid email are required' } };
+        }
+        if (String(password).length < 6) {
+            return { status: 400, body: { message: 'Password must be at least 6 characters' } };
+        }
+        if (this.db.users.some(u => u.email.toLowerCase() === normalizedEmail)) {
+            return { status: 409, body: { message: 'An account with this email already exists' } };
+        }
+
+        const user = {
+            _id: MockBackend.generateId(),
+            name: String(name).trim(),
+            email: normalizedEmail,
+            password,
+            role: 'customer',
+            addresses: []
+        };
+        this.db.users.push(user);
+        return { status: 201, body: { data: this.createSession(user) } };
+    }
+
+    createSession(user) {
+        const token = MockBackend.generateId() + MockBackend.generateId();
+        this.db.sessions[token] = { userId: user._id, expiresAt: Date.now() + MockBackend.sessionTTL };
+        this.save();
+        return { token, user: MockBackend.profile(user) };
+    }
+
+    currentUser(headers) {
+        const match = /^Bearer (.+)$/.exec(headers.Authorization || headers.authorization || '');
+        const session = match ? this.db.sessions[match[1]] : null;
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            delete this.db.sessions[match[1]];
+            this.save();
+            return null;
+        }
+        return this.db.users.find(u => u._id === session.userId) || null;
+    }
+
+    // Returns an error response when the caller may not make this request
+    authorize(method, collection, user, id = null) {
+        const isPublic = (['products', 'categories'].includes(collection) && method === 'GET') ||
+            (collection === 'orders' && method === 'POST') ||
+            (collection === 'discounts' && method === 'POST' && id === 'validate');
+        if (isPublic) return null;
+
+        if (!user) {
+            return { status: 401, body: { message: 'Authentication required' } };
+        }
+
+        const canRead = user.role !== 'customer' || collection === 'orders';
+        const canWrite = user.role === 'manager';
+        if ((method === 'GET' && !canRead) || (method !== 'GET' && !canWrite)) {
+            return { status: 403, body: { message: 'Your role does not allow this action' } };
+        }
+        return null;
+    }
+
+    async fetch(url, init = {}) {
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const { status, body } = await this.handle(url, init);
+        return new Response(body === null ? null : JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // A change that doesn't fit in localStorage is undone and reported rather
+    // than kept in memory, where it would vanish on the next reload
+    async handle(url, init = {}) {
+        try {
+            await this.expireUnpaidOrders();
+            return await this.route(url, init);
+        } catch (error) {
+            if (!MockBackend.isQuotaError(error)) throw error;
+            console.error('Mock data could not be saved to localStorage:', error);
+            this.db = this.load();
+            return {
+                status: 413,
+                body: { message: 'The demo store\'s browser storage is full. Remove some uploaded photos or use image URLs instead, then try again.' }
+            };
+        }
+    }
+
+    static isQuotaError(error) {
+        return error instanceof DOMException &&
+            (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    route(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const path = url.startsWith(this.baseURL) ? url.slice(this.baseURL.length) : url;
+        const [pathname, search = ''] = path.split('?');
+        const [, collection, id, action] = pathname.split('/');
+
+        let payload = {};
+        if (init.body) {
+            try {
+                payload = JSON.parse(init.body);
+            } catch (error) {
+                return { status: 400, body: { message: 'Request body must be valid JSON' } };
+            }
+        }
+
+        const user = this.currentUser(init.headers || {});
+
+        if (collection === 'auth') {
+            return this.handleAuth(method, id, payload, user);
+        }
+
+        const records = ['products', 'orders', 'discounts', 'categories'].includes(collection) ? this.db[collection] : null;
+        if (!records) {
+            return { status: 404, body: { message: `Route ${method} ${path} not found` } };
+        }
+
+        const denied = this.authorize(method, collection, user, id);
+        if (denied) return denied;
+
+        if (collection === 'categories' && method !== 'GET' && method !== 'POST') {
+            return this.handleCategory(method, id, payload, new URLSearchParams(search));
+        }
+
+        if (collection === 'products' && action === 'restock') {
+            return this.handleRestock(method, id, payload, user);
+        }
+
+        if (collection === 'orders' && (action === 'payment' || action === 'refund')) {
+            return this.handlePayment(method, id, action, payload, user);
+        }
+
+        if (collection === 'discounts' && id === 'validate') {
+            if (method !== 'POST') return { status: 405, body: { message: `Method ${method} not allowed on ${path}` } };
+            const discount = this.findDiscount(payload.code);
+            return discount
+                ? { status: 200, body: { data: MockBackend.publicDiscount(discount) } }
+                : { status: 404, body: { message: 'That discount code is not valid' } };
+        }
+
+        // Customers only see their own orders; anyone else's look like they don't exist
+        const isCustomer = user && user.role === 'customer';
+        const visible = (record) => !isCustomer || collection !== 'orders' || MockBackend.ownsOrder(user, record);
+
+        const label = { products: 'Product', orders: 'Order', discounts: 'Discount', categories: 'Category' }[collection];
+        const index = id ? records.findIndex(record => record._id === id && visible(record)) : -1;
+        if (id && index === -1) {
+            return { status: 404, body: { message: `${label} not found` } };
+        }
+
+        switch (method) {
+            case 'GET': {
+                if (id) return { status: 200, body: { data: records[index] } };
+
+                const query = new URLSearchParams(search);
+                const list = records.filter(visible);
+                if (!query.has('page') && !query.has('limit')) return { status: 200, body: { data: list } };
+
+                const filters = Object.fromEntries(query);
+                const matches = LIST_FILTERS[collection] || (() => true);
+                const compare = (LIST_SORTS[collection] || {})[filters.sort];
+                const matching = list.filter(item => matches(item, filters));
+                return { status: 200, body: paginate(compare ? matching.sort(compare) : matching, filters) };
+            }
+            case 'POST': {
+                if (id) break;
+                const missing = MockBackend.requiredFields[collection].filter(field =>
+                    payload[field] === undefined || payload[field] === null || payload[field] === '');
+                if (missing.length > 0) {
+                    return { status: 400, body: { message: `Missing required fields: ${missing.join(', ')}` } };
+                }
+                const record = {
+                    ...payload,
+                    _id: MockBackend.generateId(),
+                    createdAt: new Date().toISOString()
+                };
+                if (collection === 'products') {
+                    const invalid = MockBackend.productError(record, { products: records }) ||
+                        MockBackend.variantError(record, payload) || MockBackend.normalizeImages(record, record);
+                    if (invalid) return invalid;
+                    if (VARIANTS.has(record)) record.stock = VARIANTS.total(record.variants);
+                }
+                if (collection === 'orders') {
+                    // Every order starts at the beginning of the workflow
+                    record.status = 'pending';
+                    record.statusHistory = [{ status: 'pending', at: record.createdAt, by: user ? user.name : record.customerName }];
+                    // The token, not the payload, decides whose order this is
+                    delete record.customerId;
+                    if (isCustomer) record.customerId = user._id;
+
+                    const invalid = MockBackend.checkoutError(record);
+                    if (invalid) return invalid;
+                    if (record.payment !== undefined && !(record.payment && PAYMENTS.methods[record.payment.method])) {
+                        const message = 'Choose how you want to pay';
+                        return { status: 400, body: { message, errors: { paymentMethod: message } } };
+                    }
+
+                    const items = record.items || [];
+                    if (items.length === 0 || items.some(item => !Number.isInteger(item.quantity) || item.quantity < 1)) {
+                        return { status: 400, body: { message: 'Every order line needs a whole-number quantity of at least 1' } };
+                    }
+                    const unknown = items.find(item => !this.db.products.some(p => p._id === item.productId));
+                    if (unknown) {
+                        return { status: 400, body: { message: `${unknown.name || 'A product in this order'} is no longer available` } };
+                    }
+                    const unpicked = items
+                        .map(item => this.db.products.find(p => p._id === item.productId))
+                        .find((product, i) => VARIANTS.has(product) && !VARIANTS.find(product, items[i].sku));
+                    if (unpicked) {
+                        return { status: 400, body: { message: `Choose which ${unpicked.name} variant to order` } };
+                    }
+
+                    // Prices and totals are always recomputed rather than trusted from the client
+                    const discount = record.discountCode ? this.findDiscount(record.discountCode) : null;
+                    if (record.discountCode && !discount) {
+                        return { status: 400, body: { message: 'That discount code is not valid' } };
+                    }
+                    const priced = this.withCatalogDetails(items);
+                    record.items = items.map((item, i) => ({ ...item, price: priced[i].price }));
+                    record.pricing = pricing.quote(priced, record.address, discount);
+                    if (record.pricing.discountError) {
+                        return { status: 400, body: { message: record.pricing.discountError } };
+                    }
+                    delete record.pricing.discountError;
+                    record.totalAmount = record.pricing.total;
+                    // Whatever the client sent, a new order hasn't been paid for yet
+                    if (record.payment) {
+                        record.payment = {
+                            method: record.payment.method,
+                            status: 'pending',
+                            amount: record.totalAmount,
+                            currency: record.pricing.currency,
+                            history: [{ status: 'pending', at: record.createdAt }]
+                        };
+                    }
+
+                    const conflicts = this.stockConflicts(record.items);
+                    if (conflicts.length > 0) return MockBackend.stockConflictResponse(conflicts);
+
+                    this.adjustStock(record.items, -1);
+                    if (discount) discount.uses = (discount.uses || 0) + 1;
+                }
+                if (collection === 'categories') {
+                    record.name = String(record.name).trim();
+                    if (this.findCategory(record.name)) {
+                        return { status: 409, body: { message: `Category ${record.name} already exists` } };
+                    }
+                }
+                if (collection === 'discounts') {
+                    record.code = String(record.code).trim().toUpperCase();
+                    if (records.some(discount => discount.code === record.code)) {
+                        return { status: 409, body: { message: `Discount code ${record.code} already exists` } };
+                    }
+                    record.active = record.active !== false;
+                    record.uses = 0;
+                }
+                records.unshift(record);
+                // Lets a guest checkout pay for the order it just placed
+                const checkoutToken = collection === 'orders' && record.payment && record.payment.method === 'card'
+                    ? MockBackend.generateId() + MockBackend.generateId()
+                    : null;
+                if (checkoutToken) this.db.checkoutTokens[record._id] = checkoutToken;
+                this.save();
+                return { status: 201, body: { data: record, ...(checkoutToken ? { checkoutToken } : {}) } };
+            }
+            case 'PUT':
+                if (!id) break;
+                // History is only ever appended to by status changes
+                if (collection === 'orders') delete payload.statusHistory;
+                if (collection === 'orders' && (payload.shipments || payload.status === 'shipped')) {
+                    const invalid = MockBackend.shipmentError(records[index], payload);
+                    if (invalid) return invalid;
+                }
+                if (collection === 'orders' && payload.status && payload.status !== (records[index].status || 'pending')) {
+                    const from = records[index].status || 'pending';
+                    if (!ORDER_WORKFLOW.statuses.includes(payload.status)) {
+                        return { status: 400, body: { message: `Unknown order status ${payload.status}` } };
+                    }
+                    if (!ORDER_WORKFLOW.canTransition(from, payload.status)) {
+                        return { status: 409, body: { message: `An order that is ${from} cannot be moved to ${payload.status}` } };
+                    }
+
+                    // Cancelling releases the reserved stock; reopening has to claim it again
+                    const items = records[index].items || [];
+                    if (payload.status === 'cancelled') {
+                        this.adjustStock(items, 1);
+                    } else if (records[index].status === 'cancelled') {
+                        const conflicts = this.stockConflicts(items);
+                        if (conflicts.length > 0) return MockBackend.stockConflictResponse(conflicts);
+                        this.adjustStock(items, -1);
+                    }
+
+                    payload.statusHistory = [
+                        ...ORDER_WORKFLOW.history(records[index]),
+                        { status: payload.status, from, at: new Date().toISOString(), by: user ? user.name : null }
+                    ];
+                }
+                if (collection === 'products') {
+                    const invalid = MockBackend.productError(payload, { products: records, id, partial: true }) ||
+                        MockBackend.variantError(records[index], payload) ||
+                        MockBackend.normalizeImages(records[index], payload);
+                    if (invalid) return invalid;
+                    if (VARIANTS.has(payload)) payload.stock = VARIANTS.total(payload.variants);
+                }
+                records[index] = {
+                    ...records[index],
+                    ...payload,
+                    _id: id,
+                    updatedAt: new Date().toISOString()
+                };
+                this.save();
+                return { status: 200, body: { data: records[index] } };
+            case 'DELETE': {
+                if (!id) break;
+                const [removed] = records.splice(index, 1);
+                if (collection === 'orders' && removed.status !== 'cancelled') {
+                    this.adjustStock(removed.items || [], 1);
+                }
+                if (collection === 'orders') delete this.db.checkoutTokens[removed._id];
+                this.save();
+                return { status: 200, body: { data: removed, message: `${label} deleted` } };
+            }
+        }
+
+        return { status: 405, body: { message: `Method ${method} not allowed on ${path}` } };
+    }
+}
+
+function createAPIService(config = resolveApiConfig()) {
+    if (config.backend === 'mock') {
+        const backend = new MockBackend({ latency: config.latency });
+        const service = new APIService({ baseURL: MOCK_API_BASE_URL, transport: backend.fetch, backend: 'mock' });
+        service.mockBackend = backend;
+        return service;
+    }
+    return new APIService({ baseURL: config.baseURL });
+}
+
+const api = createAPIService();
+
+const ROLE_PERMISSIONS = {
+    customer: ['account'],
+    viewer: ['admin:view'],
+    manager: ['admin:view', 'admin:manage']
+};
+
+// Holds the signed-in session (staff or customer) and keeps the API token in step with it
+class AuthService {
+    constructor(apiService, storageKey = 'authSession') {
+        this.api = apiService;
+        this.storageKey = storageKey;
+        this.session = this.load();
+        this.api.setAuthToken(this.session ? this.session.token : null);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && saved.token && saved.user ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    get user() {
+        return this.session ? this.session.user : null;
+    }
+
+    get isAuthenticated() {
+        return Boolean(this.session);
+    }
+
+    can(permission) {
+        const role = this.user ? this.user.role : null;
+        return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+    }
+
+    async login(email, password) {
+        return this.startSession(await this.api.login(email, password), '/auth/login');
+    }
+
+    async register(name, email, password) {
+        return this.startSession(await this.api.register(name, email, password), '/auth/register');
+    }
+
+    startSession(response, endpoint) {
+        const { token, user } = (response && response.data) || {};
+        if (!token || !user) {
+            throw new ApiError('Login response did not include a session', { endpoint, method: 'POST' });
+        }
+
+        this.session = { token, user };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+        this.api.setAuthToken(token);
+        this.api.clearCache();
+        return user;
+    }
+
+    async updateProfile(changes) {
+        const response = await this.api.updateProfile(changes);
+        this.session = { ...this.session, user: { ...this.session.user, ...response.data } };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+        return this.session.user;
+    }
+
+    logout() {
+        this.session = null;
+        localStorage.removeItem(this.storageKey);
+        this.api.setAuthToken(null);
+        this.api.clearCache();
+    }
+}
+
+const auth = new AuthService(api);
+
+// Hash-based router. Routes look like "#/admin/manage-orders?status=shipped":
+// the path selects a handler, ":name" segments become params and the query
+// string carries filter state.
+class Router {
+    constructor() {
+        this.routes = [];
+        this.fallback = null;
+        this.resolving = false;
+    }
+
+    on(pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ regex: new RegExp(`^${source}/?$`), keys, handler });
+        return this;
+    }
+
+    otherwise(handler) {
+        this.fallback = handler;
+        return this;
+    }
+
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        return this.resolve();
+    }
+
+    static parse(hash = window.location.hash) {
+        const [path, queryString = ''] = hash.replace(/^#/, '').split('?');
+        return {
+            path: path || '/',
+            query: Object.fromEntries(new URLSearchParams(queryString))
+        };
+    }
+
+    static buildHash(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        const queryString = params.toString();
+        return `#${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    async resolve() {
+        const { path, query } = Router.parse();
+        const route = this.routes.find(r => r.regex.test(path));
+
+        this.resolving = true;
+        try {
+            if (route) {
+                const values = path.match(route.regex).slice(1);
+                const params = {};
+                route.keys.forEach((key, i) => {
+                    params[key] = decodeURIComponent(values[i]);
+                });
+                await route.handler(params, query);
+            } else if (this.fallback) {
+                await this.fallback(path, query);
+            }
+        } finally {
+            this.resolving = false;
+        }
+    }
+
+    // Changes the URL and runs the matching handler
+    navigate(path) {
+        const hash = `#${path}`;
+        if (hash === window.location.hash) {
+            return this.resolve();
+        }
+        window.location.hash = path;
+    }
+
+    // Records the current view in the URL without re-running any handler.
+    // While a route is being resolved the URL already points at the view,
+    // so entries are replaced instead of pushed.
+    sync(path, query = {}, { replace = false } = {}) {
+        const hash = Router.buildHash(path, query);
+        if (hash === window.location.hash) return;
+
+        if (replace || this.resolving) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+}
+
+// Renders only the rows scrolled into view, plus `overscan` rows either side,
+// inside a fixed-height scrolling container. Rows are assumed to share one
+// height, the average of the rendered rows.
+class VirtualList {
+    constructor(container, renderRow, { overscan = 6, rowHeight = 120 } = {}) {
+        this.container = container;
+        this.renderRow = renderRow;
+        this.overscan = overscan;
+        this.rowHeight = rowHeight;
+        this.items = [];
+        this.frame = null;
+        this.onScroll = () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        };
+
+        container.classList.add('virtual-list');
+        container.addEventListener('scroll', this.onScroll);
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.container.scrollTop = 0;
+        this.render();
+    }
+
+    render(remeasured = false) {
+        const { scrollTop } = this.container;
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.items.length, Math.ceil((scrollTop + viewport) / this.rowHeight) + this.overscan);
+
+        setHTML(this.container, html`
+            <div class="virtual-spacer" style="height: ${start * this.rowHeight}px"></div>
+            ${this.items.slice(start, end).map(item => this.renderRow(item))}
+            <div class="virtual-spacer" style="height: ${(this.items.length - end) * this.rowHeight}px"></div>
+        `);
+
+        // Re-render once with the measured row height if the estimate was off;
+        // rows of uneven height would otherwise keep re-measuring each other
+        const rows = this.container.children;
+        if (!remeasured && rows.length > 2) {
+            const measured = (rows[rows.length - 1].offsetTop - rows[1].offsetTop) / (rows.length - 2);
+            if (measured > 0 && Math.abs(measured - this.rowHeight) > 1) {
+                this.rowHeight = measured;
+                this.render(true);
+            }
+        }
+    }
+
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.container.removeEventListener('scroll', this.onScroll);
+        this.container.classList.remove('virtual-list');
+    }
+}
+
+class SimpleShop {
+    constructor() {
+        this.products = [];
+        this.orders = [];
+        this.cart = [];
+        this.isConnected = false;
+        this.router = new Router();
+        this.currentPage = null;
+        this.currentTab = 'dashboard';
+        this.storefrontFilters = SimpleShop.defaultStorefrontFilters();
+        this.searchTimer = null;
+        this.pendingStorefrontChanges = {};
+        this.productFilters = { category: 'all', query: '', page: 1, limit: SimpleShop.pageSizes[0] };
+        this.orderFilters = { status: 'all', query: '', page: 1, limit: SimpleShop.pageSizes[0] };
+        this.orderPagination = null;
+        this.orderSearchTimer = null;
+        this.productDraftTimer = null;
+        this.checkoutStep = 'details';
+        this.analyticsOptions = { range: '30', interval: 'day' };
+        // Bulk-action selections: id -> record, kept across pages
+        this.selection = { products: new Map(), orders: new Map() };
+        this.productMatches = [];
+        this.productPage = [];
+        // Galleries being edited in the product forms, keyed by manager element id
+        this.imageDrafts = {};
+        this.viewer = null;
+        this.virtualLists = {};
+        this.storefrontVisible = SimpleShop.storefrontBatch;
+        this.storefrontTotal = 0;
+        this.storefrontRequest = 0;
+        this.storefrontLoadingMore = false;
+        this.customerOrders = [];
+        this.discounts = [];
+        this.categories = [];
+        this.categoriesDerived = false;
+        this.appliedDiscount = SimpleShop.loadAppliedDiscount();
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        // Load products first
+        await this.loadProducts();
+        await this.loadCategories();
+        
+        // Then validate and load cart
+        await this.validateAndLoadCart();
+        
+        this.setupEventListeners();
+        this.setupInfiniteScroll();
+        this.setupRoutes();
+        this.updateCartDisplay();
+        this.updateBackendStatus();
+        this.updateAuthDisplay();
+        api.subscribe((endpoint, response) => this.handleApiUpdate(endpoint, response));
+        api.onUnauthorized = () => this.handleSessionExpired();
+        await this.router.start();
+    }
+
+    // Background revalidation found newer data than the cached copy on screen
+    handleApiUpdate(endpoint, response) {
+        const onAdminTab = (tab) => this.currentPage === 'admin' && this.currentTab === tab;
+
+        if (endpoint === '/products') {
+            this.products = response.data || [];
+            if (this.currentPage === 'products') this.displayProducts();
+            if (onAdminTab('manage-products')) this.applyAdminProductFilters();
+        } else if (endpoint.startsWith('/products?')) {
+            if (this.currentPage === 'products') this.displayProducts();
+        } else if (endpoint.startsWith('/orders?')) {
+            if (onAdminTab('manage-orders')) this.loadOrders();
+        } else if (endpoint === '/categories') {
+            this.categories = response.data || [];
+            this.populateCategorySelects();
+            if (onAdminTab('categories')) this.displayCategories();
+        } else if (endpoint === '/discounts') {
+            this.discounts = response.data || [];
+            if (onAdminTab('discounts')) this.displayDiscounts();
+        }
+    }
+
+    updateBackendStatus() {
+        const label = document.getElementById('db-status-label');
+        if (label && api.backend === 'mock') {
+            label.textContent = 'Offline mock';
+        }
+    }
+
+    setupRoutes() {
+        this.router
+            .on('/products', (params, query) => this.navigateTo('products', query))
+            .on('/product/:id', ({ id }) => this.navigateTo('product', { id }))
+            .on('/cart', () => this.navigateTo('cart'))
+            .on('/checkout', () => this.navigateTo('checkout'))
+            .on('/admin', () => this.navigateTo('admin'))
+            .on('/admin/:tab', ({ tab }, query) => this.navigateTo('admin', { ...query, tab }))
+            .on('/order/:id', ({ id }) => this.showOrderRoute(id))
+            .on('/login', (params, query) => this.navigateTo('login', query))
+            .on('/account', () => this.navigateTo('account', {}))
+            .on('/account/orders/:id', ({ id }) => this.navigateTo('account', { orderId: id }))
+            .otherwise(() => this.navigateTo('products', {}));
+    }
+
+    async showOrderRoute(orderId) {
+        if (!auth.can('admin:view')) return this.redirectToLogin();
+
+        await this.navigateTo('admin', { tab: 'manage-orders' });
+        await this.viewOrderDetails(orderId);
+    }
+
+    // Visitors who open a protected URL land on the login page and are sent
+    // back to that URL after signing in. Outside of routing (e.g. a nav click)
+    // `fallbackPath` is where they were heading.
+    redirectToLogin(fallbackPath = '/admin', fromCurrentRoute = this.router.resolving) {
+        // Signing in again won't help someone who is already signed in
+        if (auth.isAuthenticated) {
+            this.showError('Your account does not have access to that page');
+            return this.router.navigate(this.defaultLandingPath());
+        }
+        const target = fromCurrentRoute ? Router.parse() : { path: fallbackPath, query: {} };
+        return this.navigateTo('login', { redirect: Router.buildHash(target.path, target.query).slice(1) });
+    }
+
+    defaultLandingPath() {
+        if (auth.can('admin:view')) return '/admin';
+        if (auth.can('account')) return '/account';
+        return '/products';
+    }
+
+    async handleLogin(form) {
+        const formData = new FormData(form);
+
+        this.showLoading('Signing in...');
+        try {
+            const user = await auth.login(formData.get('email').trim(), formData.get('password'));
+            form.reset();
+            this.updateAuthDisplay();
+            this.showSuccess(`Welcome back, ${user.name || user.email}!`);
+            this.router.navigate(this.loginRedirect || this.defaultLandingPath());
+        } catch (error) {
+            this.showError(error.status === 401
+                ? 'Invalid email or password'
+                : this.describeError(error, 'Failed to sign in. Please try again.'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleRegister(form) {
+        const formData = new FormData(form);
+        const password = formData.get('password');
+
+        if (password !== formData.get('confirmPassword')) {
+            this.showError('Passwords do not match');
+            return;
+        }
+
+        this.showLoading('Creating your account...');
+        try {
+            const user = await auth.register(formData.get('name').trim(), formData.get('email').trim(), password);
+            form.reset();
+            this.updateAuthDisplay();
+            this.showSuccess(`Welcome, ${user.name}! Your account is ready.`);
+            this.router.navigate(this.loginRedirect || this.defaultLandingPath());
+        } catch (error) {
+            this.showError(this.describeError(error, 'Failed to create your account. Please try again.'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    logout() {
+        auth.logout();
+        this.orders = [];
+        this.customerOrders = [];
+        this.updateAuthDisplay();
+        this.showSuccess('You have been logged out');
+        if (['admin', 'account'].includes(this.currentPage)) this.navigateTo('products');
+    }
+
+    handleSessionExpired() {
+        if (!auth.isAuthenticated) return;
+
+        auth.logout();
+        this.updateAuthDisplay();
+        this.showError('Your session has expired. Please log in again.');
+        if (['admin', 'account'].includes(this.currentPage)) this.redirectToLogin(`/${this.currentPage}`, true);
+    }
+
+    updateAuthDisplay() {
+        const user = auth.user;
+
+        const adminNav = document.querySelector('.nav-btn[data-page="admin"]');
+        if (adminNav) adminNav.classList.toggle('hidden', !auth.can('admin:view'));
+
+        const accountNav = document.querySelector('.nav-btn[data-page="account"]');
+        if (accountNav) accountNav.classList.toggle('hidden', !auth.can('account'));
+
+        document.querySelectorAll('[data-requires]').forEach(el => {
+            el.classList.toggle('hidden', !auth.can(el.dataset.requires));
+        });
+
+        const status = document.getElementById('auth-status');
+        if (!status) return;
+
+        setHTML(status, user
+            ? html`
+                <span class="auth-user">
+                    ${user.name || user.email}
+                    <span class="role-badge">${user.role}</span>
+                </span>
+                <button class="btn btn--secondary btn--sm" data-action="logout">Log out</button>
+            `
+            : html`<button class="btn btn--secondary btn--sm" data-action="navigate" data-page="login">Sign in</button>`);
+    }
+
+    requirePermission(permission) {
+        if (auth.can(permission)) return true;
+        this.showError('You do not have permission to do that.');
+        return false;
+    }
+
+    // Validate cart items against database products
+    async validateAndLoadCart() {
+        try {
+            // Get cart from localStorage
+            const savedCart = JSON.parse(localStorage.getItem('cart')) || [];
+            
+            // Validate each cart item against database
+            const validatedCart = [];
+            
+            for (const cartItem of savedCart) {
+                const productExists = this.products.find(p => p._id === cartItem.id);
+                // A line for a variant that was removed, or saved before the product had variants, can't be bought
+                const variant = productExists ? VARIANTS.find(productExists, cartItem.sku) : null;
+                
+                if (productExists && Boolean(variant) === VARIANTS.has(productExists)) {
+                    // Update cart item with latest product info
+                    validatedCart.push(this.cartLine(productExists, variant, cartItem.quantity));
+                } else {
+                    console.log(`Removing invalid cart item: ${cartItem.name} (ID: ${cartItem.id})`);
+                }
+            }
+            
+            // Update cart with validated items
+            this.cart = validatedCart;
+            localStorage.setItem('cart', JSON.stringify(this.cart));
+            
+            if (savedCart.length !== validatedCart.length) {
+                this.showSuccess('Cart updated - removed items that are no longer available');
+            }
+            
+        } catch (error) {
+            console.error('Error validating cart:', error);
+            // Reset cart on error
+            this.cart = [];
+            localStorage.removeItem('cart');
+        }
+    }
+
+    setupEventListeners() {
+        // Broken product photos fall back to a placeholder instead of the browser's broken icon
+        document.addEventListener('error', (e) => {
+            const image = e.target;
+            if (image.tagName !== 'IMG' || image.dataset.broken) return;
+            image.dataset.broken = 'true';
+            image.src = placeholderImage(image.alt || 'No image');
+        }, true);
+        this.setupImageViewer();
+
+        // Navigation buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const page = e.target.getAttribute('data-page');
+                this.navigateTo(page);
+            });
+        });
+
+        // Category filter
+        const categoryFilter = document.getElementById('category-filter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => this.filterProducts(e.target.value));
+        }
+
+        // Storefront search, sort and facets
+        const storefrontSearch = document.getElementById('storefront-search');
+        if (storefrontSearch) {
+            storefrontSearch.addEventListener('input', (e) => this.debounceStorefrontFilters({ query: e.target.value.trim() }));
+        }
+
+        const storefrontSort = document.getElementById('storefront-sort');
+        if (storefrontSort) {
+            storefrontSort.addEventListener('change', (e) => this.updateStorefrontFilters({ sort: e.target.value }));
+        }
+
+        ['price-min', 'price-max'].forEach(id => {
+            const field = document.getElementById(id);
+            if (!field) return;
+            const key = id === 'price-min' ? 'minPrice' : 'maxPrice';
+            field.addEventListener('input', (e) => this.debounceStorefrontFilters({ [key]: e.target.value }));
+        });
+
+        const inStockOnly = document.getElementById('in-stock-only');
+        if (inStockOnly) {
+            inStockOnly.addEventListener('change', (e) => this.updateStorefrontFilters({ inStock: e.target.checked }));
+        }
+
+        // Add product form
+        const addProductForm = document.getElementById('add-product-form');
+        if (addProductForm) {
+            addProductForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitAddProductForm();
+            });
+            ['input', 'change'].forEach(type => addProductForm.addEventListener(type, (e) => {
+                this.clearFieldErrorFor(addProductForm, e.target);
+                this.queueProductDraft();
+            }));
+            this.restoreProductDraft();
+        }
+
+        // Sign in / create account forms
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleLogin(loginForm);
+            });
+        }
+
+        const registerForm = document.getElementById('register-form');
+        if (registerForm) {
+            registerForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleRegister(registerForm);
+            });
+        }
+
+        const savedAddressSelect = document.getElementById('saved-address');
+        if (savedAddressSelect) {
+            savedAddressSelect.addEventListener('change', (e) => this.fillCheckoutAddress(e.target.value));
+        }
+
+        // Discount code forms on the cart and checkout summaries
+        document.querySelectorAll('.coupon-form').forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyDiscountCode(form);
+            });
+        });
+
+        const categoryForm = document.getElementById('category-form');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createCategory(categoryForm);
+            });
+        }
+
+        const discountForm = document.getElementById('discount-form');
+        if (discountForm) {
+            discountForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitDiscountForm(discountForm);
+            });
+        }
+
+        // Checkout form
+        const checkoutForm = document.getElementById('checkout-form');
+        if (checkoutForm) {
+            checkoutForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCheckout(e);
+            });
+            this.populateCountrySelect();
+            this.changePaymentMethod(this.readPaymentForm(checkoutForm).method);
+            ['input', 'change'].forEach(type => checkoutForm.addEventListener(type, (e) => {
+                this.clearFieldErrorFor(checkoutForm, e.target);
+                if (type === 'change' && e.target.id === 'country') this.changeCheckoutCountry(e.target.value);
+                if (type === 'change' && e.target.name === 'paymentMethod') this.changePaymentMethod(e.target.value);
+                // Shipping and tax depend on where the order ships
+                if (['country', 'state'].includes(e.target.id)) this.displayPriceSummary('checkout', this.quoteCart());
+            }));
+            // Email and phone are checked as soon as the shopper moves on
+            checkoutForm.addEventListener('focusout', (e) => {
+                if (['email', 'phone'].includes(e.target.id)) this.checkCheckoutField(e.target);
+            });
+        }
+
+        const challengeForm = document.getElementById('payment-challenge-form');
+        if (challengeForm) {
+            challengeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.resolvePaymentChallenge(document.getElementById('payment-challenge-code').value);
+            });
+        }
+
+        // Admin tabs
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const tab = e.target.getAttribute('data-tab');
+                this.switchTab(tab);
+            });
+        });
+
+        // Modal close on background click
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                this.closeModal(e.target.id);
+            }
+        });
+
+        this.setupActionListeners();
+        this.setupAdminEventListeners();
+    }
+
+    // Rendered markup never carries inline handlers. Clickable elements get
+    // data-action (plus data-* arguments) and are dispatched from here.
+    setupActionListeners() {
+        const clickActions = {
+            'navigate': (el) => this.navigateTo(el.dataset.page),
+            'add-to-cart': (el) => this.addToCart(el.dataset.id, 1, el.dataset.sku || null),
+            'update-quantity': (el) => this.updateQuantity(el.dataset.id, parseInt(el.dataset.quantity)),
+            'remove-from-cart': (el) => this.removeFromCart(el.dataset.id),
+            'clear-cart': () => this.clearCart(),
+            'edit-checkout': () => this.showCheckoutStep('details'),
+            'cancel-payment-challenge': () => this.resolvePaymentChallenge(null),
+            'refund-order': (el) => this.refundOrder(el.dataset.id),
+            'edit-product': (el) => this.editProduct(el.dataset.id),
+            'restock-product': (el) => this.restockProduct(el.dataset.id),
+            'build-variants': (el) => this.buildVariants(el.dataset.editor),
+            'add-image-url': (el) => this.addImageUrl(el.dataset.manager),
+            'move-image': (el) => this.moveImage(el.dataset.manager, Number(el.dataset.index), Number(el.dataset.to)),
+            'remove-image': (el) => this.removeImage(el.dataset.manager, Number(el.dataset.index)),
+            'discard-product-draft': () => this.discardProductDraft(),
+            'viewer-step': (el) => this.stepImageViewer(Number(el.dataset.step)),
+            'view-product': (el) => this.navigateTo('product', { id: el.dataset.id }),
+            'delete-product': (el) => this.deleteProduct(el.dataset.id),
+            'refresh-products': () => this.refreshProducts(),
+            'view-order': (el) => this.viewOrderDetails(el.dataset.id),
+            'delete-order': (el) => this.deleteOrder(el.dataset.id),
+            'ship-order': (el) => this.openShipmentForm(el.dataset.id),
+            'select-all-matching': (el) => this.selectAllMatching(el.dataset.list),
+            'clear-selection': (el) => this.clearSelection(el.dataset.list),
+            'bulk-delete': (el) => this.bulkDelete(el.dataset.list),
+            'bulk-order-status': () => this.bulkUpdateOrderStatus(),
+            'bulk-adjust-products': () => this.bulkAdjustProducts(),
+            'dismiss-bulk-report': (el) => this.dismissBulkReport(el.dataset.list),
+            'export-list': (el) => this.exportList(el.dataset.list, el.dataset.format),
+            'open-import': () => this.openImportWizard(),
+            'import-step': (el) => this.showImportStep(el.dataset.step),
+            'import-preview': () => this.previewImport(),
+            'import-apply': () => this.applyImport(),
+            'refresh-orders': () => this.refreshOrders(),
+            'clear-storefront-filters': () => this.clearStorefrontFilters(),
+            'load-more-products': () => this.showMoreProducts(),
+            'change-page': (el) => this.changePage(el.dataset.list, Number(el.dataset.targetPage)),
+            'remove-discount': () => this.removeDiscountCode(),
+            'refresh-discounts': () => this.loadDiscounts({ force: true }),
+            'toggle-discount': (el) => this.toggleDiscount(el.dataset.id),
+            'delete-discount': (el) => this.deleteDiscount(el.dataset.id),
+            'rename-category': (el) => this.renameCategory(el.dataset.id),
+            'merge-category': (el) => this.deleteCategory(el.dataset.id, { merge: true }),
+            'delete-category': (el) => this.deleteCategory(el.dataset.id),
+            'close-modal': (el) => this.closeModal(el.dataset.modal),
+            'logout': () => this.logout(),
+            'view-customer-order': (el) => this.navigateTo('account', { orderId: el.dataset.id }),
+            'remove-address': (el) => this.removeAddress(el.dataset.id),
+            'default-address': (el) => this.setDefaultAddress(el.dataset.id)
+        };
+        const changeActions = {
+            'update-order-status': (el) => this.updateOrderStatus(el.dataset.id, el.value),
+            'select-variant': (el) => this.selectVariant(el),
+            'upload-images': (el) => this.uploadImages(el.dataset.manager, el.files),
+            'toggle-select': (el) => this.toggleSelection(el.dataset.list, el.dataset.id, el.checked),
+            'select-page': (el) => this.selectPage(el.dataset.list, el.checked),
+            'change-page-size': (el) => this.changePageSize(el.dataset.list, el.value),
+            'analytics-option': (el) => this.changeAnalyticsOption(el.dataset.option, el.value),
+            'category-threshold': (el) => this.updateCategoryThreshold(el.dataset.id, el.value)
+        };
+
+        document.addEventListener('click', (e) => {
+            const el = e.target.closest('[data-action]');
+            if (!el || el.tagName === 'SELECT' || !clickActions[el.dataset.action]) return;
+            e.preventDefault();
+            clickActions[el.dataset.action](el, e);
+        });
+
+        document.addEventListener('change', (e) => {
+            const el = e.target.closest('[data-action]');
+            if (!el || !changeActions[el.dataset.action]) return;
+            changeActions[el.dataset.action](el, e);
+        });
+    }
+
+    setupAdminEventListeners() {
+        const productSearch = document.getElementById('product-search');
+        if (productSearch) {
+            productSearch.addEventListener('input', (e) => this.searchProducts(e.target.value));
+        }
+
+        const categoryFilterAdmin = document.getElementById('category-filter-admin');
+        if (categoryFilterAdmin) {
+            categoryFilterAdmin.addEventListener('change', (e) => this.filterAdminProducts(e.target.value));
+        }
+
+        const orderSearch = document.getElementById('order-search');
+        if (orderSearch) {
+            orderSearch.addEventListener('input', (e) => this.searchOrders(e.target.value));
+        }
+
+        const orderStatusFilter = document.getElementById('order-status-filter');
+        if (orderStatusFilter) {
+            orderStatusFilter.addEventListener('change', (e) => this.filterOrdersByStatus(e.target.value));
+        }
+
+        const editProductForm = document.getElementById('edit-product-form');
+        if (editProductForm) {
+            editProductForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.updateProduct();
+            });
+            ['input', 'change'].forEach(type => editProductForm.addEventListener(type, (e) => {
+                this.clearFieldErrorFor(editProductForm, e.target);
+            }));
+        }
+
+        const importForm = document.getElementById('import-file-form');
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.readImportFile();
+            });
+        }
+
+        const shipmentForm = document.getElementById('shipment-form');
+        if (shipmentForm) {
+            shipmentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitShipmentForm();
+            });
+        }
+
+        document.querySelectorAll('.variant-editor').forEach(editor => {
+            editor.addEventListener('input', (e) => {
+                if (e.target.dataset.field === 'stock') this.syncVariantStock(editor);
+            });
+        });
+
+        document.querySelectorAll('.image-manager').forEach(manager => {
+            const dropzone = manager.querySelector('.image-dropzone');
+            ['dragenter', 'dragover'].forEach(type => dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropzone.classList.add('dragging');
+            }));
+            dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+            dropzone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropzone.classList.remove('dragging');
+                this.uploadImages(manager.id, e.dataTransfer.files);
+            });
+            manager.querySelector('input[type="url"]').addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                this.addImageUrl(manager.id);
+            });
+        });
+    }
+
+    // `query` comes from the URL when the router drives the switch; tab clicks
+    // pass nothing and keep the filters the admin already had.
+    async switchTab(tabName, query = null) {
+        if (!document.getElementById(`${tabName}-tab`)) tabName = 'dashboard';
+        if (tabName === 'add-product' && !auth.can('admin:manage')) tabName = 'dashboard';
+        this.currentTab = tabName;
+
+        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+
+        const activeBtn = document.querySelector(`[data-tab="${tabName}"]`);
+        const activeContent = document.getElementById(`${tabName}-tab`);
+
+        if (activeBtn) activeBtn.classList.add('active');
+        if (activeContent) activeContent.classList.add('active');
+
+        if (query) {
+            const paging = SimpleShop.pagingFromQuery(query);
+            if (tabName === 'manage-products') {
+                this.productFilters = { category: query.category || 'all', query: query.q || '', ...paging };
+            } else if (tabName === 'manage-orders') {
+                this.orderFilters = { status: query.status || 'all', query: query.q || '', ...paging };
+            }
+        }
+        this.syncAdminRoute();
+
+        switch (tabName) {
+            case 'dashboard':
+                await this.loadAdminDashboard();
+                break;
+            case 'manage-products':
+                this.setFieldValue('product-search', this.productFilters.query);
+                this.setFieldValue('category-filter-admin', this.productFilters.category);
+                this.applyAdminProductFilters();
+                break;
+            case 'manage-orders':
+                this.setFieldValue('order-search', this.orderFilters.query);
+                this.setFieldValue('order-status-filter', this.orderFilters.status);
+                await this.loadOrders();
+                break;
+            case 'analytics':
+                this.loadAnalytics();
+                break;
+            case 'discounts':
+                await this.loadDiscounts();
+                break;
+            case 'categories':
+                await this.loadCategories();
+                break;
+        }
+    }
+
+    syncAdminRoute(options = {}) {
+        let query = {};
+        if (this.currentTab === 'manage-products') {
+            const { category, query: search } = this.productFilters;
+            query = { category: category === 'all' ? '' : category, q: search, ...SimpleShop.pagingQuery(this.productFilters) };
+        } else if (this.currentTab === 'manage-orders') {
+            const { status, query: search } = this.orderFilters;
+            query = { status: status === 'all' ? '' : status, q: search, ...SimpleShop.pagingQuery(this.orderFilters) };
+        }
+        this.router.sync(`/admin/${this.currentTab}`, query, options);
+    }
+
+    static get pageSizes() {
+        return [20, 50, 100, 500];
+    }
+
+    // Rows beyond this many in one list are virtualized
+    static get virtualizeAfter() {
+        return 100;
+    }
+
+    static get storefrontBatch() {
+        return 12;
+    }
+
+    static pagingFromQuery(query) {
+        const limit = Number(query.limit);
+        return {
+            page: Math.max(1, parseInt(query.page, 10) || 1),
+            limit: SimpleShop.pageSizes.includes(limit) ? limit : SimpleShop.pageSizes[0]
+        };
+    }
+
+    // Defaults are left out of the URL
+    static pagingQuery({ page, limit }) {
+        return {
+            page: page > 1 ? page : '',
+            limit: limit !== SimpleShop.pageSizes[0] ? limit : ''
+        };
+    }
+
+    // Page controls for a list; `list` names what data-action="change-page" pages
+    renderPagination(list, pagination) {
+        if (!pagination || pagination.total === 0) return html``;
+
+        const { page, pages, limit, total } = pagination;
+        const first = (page - 1) * limit + 1;
+        const last = Math.min(page * limit, total);
+        return html`
+            <span class="pagination-summary">${first}-${last} of ${total}</span>
+            <button class="btn btn--secondary btn--sm" data-action="change-page" data-list="${list}" data-target-page="${page - 1}" ${page <= 1 ? html`disabled` : ''}>&larr; Prev</button>
+            <span class="pagination-page">Page ${page} of ${pages}</span>
+            <button class="btn btn--secondary btn--sm" data-action="change-page" data-list="${list}" data-target-page="${page + 1}" ${page >= pages ? html`disabled` : ''}>Next &rarr;</button>
+            <select class="form-control pagination-size" data-action="change-page-size" data-list="${list}" aria-label="Rows per page">
+                ${SimpleShop.pageSizes.map(size => html`
+                    <option value="${size}" ${size === limit ? html`selected` : ''}>${size} per page</option>
+                `)}
+            </select>
+        `;
+    }
+
+    changePage(list, page) {
+        const filters = list === 'orders' ? this.orderFilters : this.productFilters;
+        filters.page = Math.max(1, page);
+        this.syncAdminRoute();
+        if (list === 'orders') {
+            this.loadOrders();
+        } else {
+            this.applyAdminProductFilters();
+        }
+    }
+
+    changePageSize(list, limit) {
+        const filters = list === 'orders' ? this.orderFilters : this.productFilters;
+        filters.limit = Number(limit) || SimpleShop.pageSizes[0];
+        this.changePage(list, 1);
+    }
+
+    // Long pages are virtualized; short ones render normally
+    renderList(container, items, emptyContent, renderRow) {
+        const existing = this.virtualLists[container.id];
+        if (items.length <= SimpleShop.virtualizeAfter) {
+            if (existing) {
+                existing.destroy();
+                delete this.virtualLists[container.id];
+            }
+            setHTML(container, items.length > 0 ? html`${items.map(item => renderRow(item))}` : emptyContent);
+            return;
+        }
+
+        const list = existing || new VirtualList(container, renderRow);
+        this.virtualLists[container.id] = list;
+        list.renderRow = renderRow;
+        list.setItems(items);
+    }
+
+    setFieldValue(id, value) {
+        const field = document.getElementById(id);
+        if (field) field.value = value;
+    }
+
+    // `query` is the parsed URL query when the router drives navigation;
+    // programmatic calls and nav clicks leave it out and keep current filters.
+    async navigateTo(page, query = null) {
+        if (page === 'admin' && !auth.can('admin:view')) return this.redirectToLogin('/admin');
+        if (page === 'account' && !auth.can('account')) return this.redirectToLogin('/account');
+        this.currentPage = page;
+
+        // Product detail pages live under the Products nav entry
+        const navPage = page === 'product' ? 'products' : page;
+        document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
+        const activeBtn = document.querySelector(`[data-page="${navPage}"]`);
+        if (activeBtn) activeBtn.classList.add('active');
+
+        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+        const targetPage = document.getElementById(`${page}-page`);
+        if (targetPage) targetPage.classList.add('active');
+
+        // Route-owned modals shouldn't outlive the route that opened them
+        const orderModal = document.getElementById('order-details-modal');
+        if (orderModal) orderModal.classList.add('hidden');
+
+        if (!['products', 'product', 'admin', 'login', 'account'].includes(page)) {
+            this.router.sync(`/${page}`);
+        }
+
+        switch (page) {
+            case 'products':
+                if (query) {
+                    this.storefrontFilters = SimpleShop.storefrontFiltersFromQuery(query);
+                    this.storefrontVisible = SimpleShop.storefrontBatch;
+                }
+                this.setStorefrontFields();
+                this.syncStorefrontRoute();
+                await this.loadProducts();
+                break;
+            case 'product':
+                this.router.sync(`/product/${encodeURIComponent(query.id)}`);
+                await this.loadProductDetail(query.id);
+                break;
+            case 'cart': 
+                await this.checkCartStock();
+                this.displayCart(); 
+                break;
+            case 'checkout': 
+                await this.checkCartStock();
+                this.displayCheckout(); 
+                this.prefillCheckoutForm();
+                break;
+            case 'admin':
+                await this.switchTab(query && query.tab ? query.tab : this.currentTab, query);
+                break;
+            case 'login':
+                this.loginRedirect = query && query.redirect ? query.redirect : '';
+                if (auth.isAuthenticated) {
+                    this.router.navigate(this.loginRedirect || this.defaultLandingPath());
+                    break;
+                }
+                this.router.sync('/login', { redirect: this.loginRedirect });
+                this.displayLoginHint();
+                break;
+            case 'account':
+                if (query && query.orderId) {
+                    this.router.sync(`/account/orders/${encodeURIComponent(query.orderId)}`);
+                    await this.viewCustomerOrder(query.orderId);
+                } else {
+                    this.router.sync('/account');
+                    await this.loadCustomerOrders();
+                }
+                this.displaySavedAddresses();
+                break;
+        }
+    }
+
+    displayLoginHint() {
+        const hint = document.getElementById('login-hint');
+        if (hint) hint.classList.toggle('hidden', api.backend !== 'mock');
+    }
+
+    // Customer account: order history, order tracking and saved addresses
+    async loadCustomerOrders() {
+        const container = document.getElementById('customer-orders');
+        if (!container) return;
+
+        setHTML(container, html`<p>Loading your orders...</p>`);
+        try {
+            const user = auth.user;
+            const response = await api.getOrders();
+            // The API scopes orders to the customer; filter again in case a backend returns more
+            this.customerOrders = (response.data || [])
+                .filter(order => order.customerId === user._id)
+                .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+            this.displayCustomerOrders();
+        } catch (error) {
+            console.error('Error loading customer orders:', error);
+            setHTML(container, html`<p>${this.describeError(error, 'Failed to load your orders. Please try again.')}</p>`);
+        }
+    }
+
+    displayCustomerOrders() {
+        const container = document.getElementById('customer-orders');
+        if (!container) return;
+
+        if (this.customerOrders.length === 0) {
+            setHTML(container, html`
+                <div class="empty-cart">
+                    <p>You haven't placed any orders yet.</p>
+                    <button class="btn btn--primary" data-action="navigate" data-page="products">Start shopping</button>
+                </div>
+            `);
+            return;
+        }
+
+        setHTML(container, html`${this.customerOrders.map(order => {
+            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
+            const status = order.status || 'pending';
+            return html`
+                <div class="admin-order-item customer-order-item fade-in">
+                    <div class="order-header">
+                        <div class="order-id">Order #${order._id.substring(0, 8)}</div>
+                        <div class="order-date">${orderDate}</div>
+                        <div class="order-status status-${status}">${status}</div>
+                    </div>
+                    ${this.renderOrderProgress(status)}
+                    <div class="order-details">
+                        <span>${order.items?.length || 0} items</span>
+                        <strong>${pricing.format(order.totalAmount)}</strong>
+                    </div>
+                    <button class="btn btn--secondary btn--sm" data-action="view-customer-order" data-id="${order._id}">Track order</button>
+                </div>
+            `;
+        })}`);
+    }
+
+    async viewCustomerOrder(orderId) {
+        const container = document.getElementById('customer-orders');
+        if (!container) return;
+
+        setHTML(container, html`<p>Loading order...</p>`);
+        try {
+            const response = await api.getOrder(orderId);
+            const order = response.data;
+            const status = order.status || 'pending';
+            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
+
+            setHTML(container, html`
+                <button class="btn btn--secondary btn--sm back-btn" data-action="navigate" data-page="account">&larr; All orders</button>
+                <div class="order-details-full">
+                    <div class="order-header-full">
+                        <h4>Order #${order._id}</h4>
+                        <div class="order-status status-${status}">${status}</div>
+                    </div>
+                    ${this.renderOrderProgress(status)}
+                    <div class="order-items-full">
+                        <h5>Items</h5>
+                        ${(order.items || []).map(item => html`
+                            <div class="order-item">
+                                <span>${item.name}</span>
+                                <span>Qty: ${item.quantity}</span>
+                                <span>${pricing.format(item.price * item.quantity)}</span>
+                            </div>
+                        `)}
+                    </div>
+                    ${this.renderShipments(order)}
+                    <div class="shipping-address">
+                        <h5>Shipping To</h5>
+                        <p>${order.customerName}</p>
+                        ${CHECKOUT_SCHEMA.formatAddress(order.address || {}).map(line => html`<p>${line}</p>`)}
+                    </div>
+                    ${this.renderPayment(order)}
+                    <div class="order-total-full">
+                        ${this.renderPricingBreakdown(order)}
+                        <p>Placed on ${orderDate}</p>
+                    </div>
+                </div>
+            `);
+        } catch (error) {
+            console.error('Error loading order:', error);
+            const message = error.status === 404
+                ? 'We could not find that order on your account.'
+                : this.describeError(error, 'Failed to load this order. Please try again.');
+            setHTML(container, html`
+                <button class="btn btn--secondary btn--sm back-btn" data-action="navigate" data-page="account">&larr; All orders</button>
+                <div class="empty-cart"><p>${message}</p></div>
+            `);
+        }
+    }
+
+    renderOrderProgress(status) {
+        if (status === 'cancelled') {
+            return html`<div class="order-progress cancelled">This order was cancelled.</div>`;
+        }
+
+        const steps = ORDER_WORKFLOW.statuses.filter(step => step !== 'cancelled');
+        const current = steps.indexOf(status);
+        return html`
+            <ol class="order-progress">
+                ${steps.map((step, i) => html`
+                    <li class="progress-step ${i <= current ? 'complete' : ''} ${i === current ? 'current' : ''}">${step}</li>
+                `)}
+            </ol>
+        `;
+    }
+
+    get savedAddresses() {
+        return (auth.user && auth.user.addresses) || [];
+    }
+
+    displaySavedAddresses() {
+        const container = document.getElementById('saved-addresses');
+        if (!container) return;
+
+        if (this.savedAddresses.length === 0) {
+            setHTML(container, html`<p class="text-muted">Addresses you save at checkout will appear here.</p>`);
+            return;
+        }
+
+        setHTML(container, html`${this.savedAddresses.map(address => html`
+            <div class="saved-address-item">
+                <div>
+                    <strong>${address.label || 'Address'}</strong>
+                    ${address.isDefault ? html`<span class="role-badge">Default</span>` : ''}
+                    <p>${address.firstName} ${address.lastName}</p>
+                    <p>${CHECKOUT_SCHEMA.formatAddress(address).join(', ')}</p>
+                </div>
+                <div class="admin-product-actions">
+                    ${address.isDefault ? '' : html`<button class="btn btn--secondary btn--sm" data-action="default-address" data-id="${address.id}">Make default</button>`}
+                    <button class="delete-btn btn--sm" data-action="remove-address" data-id="${address.id}">Remove</button>
+                </div>
+            </div>
+        `)}`);
+    }
+
+    async saveAddresses(addresses, successMessage) {
+        try {
+            await auth.updateProfile({ addresses });
+            this.displaySavedAddresses();
+            if (successMessage) this.showSuccess(successMessage);
+            return true;
+        } catch (error) {
+            this.showError(this.describeError(error, 'Failed to update your saved addresses'));
+            return false;
+        }
+    }
+
+    async removeAddress(addressId) {
+        if (!confirm('Remove this saved address?')) return;
+
+        const remaining = this.savedAddresses.filter(a => a.id !== addressId);
+        if (remaining.length > 0 && !remaining.some(a => a.isDefault)) {
+            remaining[0] = { ...remaining[0], isDefault: true };
+        }
+        await this.saveAddresses(remaining, 'Address removed');
+    }
+
+    async setDefaultAddress(addressId) {
+        const addresses = this.savedAddresses.map(a => ({ ...a, isDefault: a.id === addressId }));
+        await this.saveAddresses(addresses, 'Default address updated');
+    }
+
+    // Offers the signed-in customer's saved addresses on the checkout form and
+    // fills in the default one when the form is still empty.
+    prefillCheckoutForm() {
+        const accountBox = document.getElementById('checkout-account');
+        const select = document.getElementById('saved-address');
+        const isCustomer = auth.can('account');
+
+        if (accountBox) accountBox.classList.toggle('hidden', !isCustomer);
+        const signInPrompt = document.getElementById('checkout-signin');
+        if (signInPrompt) signInPrompt.classList.toggle('hidden', auth.isAuthenticated);
+        if (!isCustomer) return;
+
+        const addresses = this.savedAddresses;
+        if (select) {
+            setHTML(select, html`
+                <option value="">${addresses.length > 0 ? 'Choose a saved address' : 'No saved addresses yet'}</option>
+                ${addresses.map(a => html`<option value="${a.id}">${a.label || a.street} - ${a.street}, ${a.city}</option>`)}
+            `);
+            select.disabled = addresses.length === 0;
+        }
+
+        const form = document.getElementById('checkout-form');
+        const emailField = form ? form.querySelector('#email') : null;
+        if (emailField && !emailField.value) emailField.value = auth.user.email;
+
+        const firstNameField = form ? form.querySelector('#firstName') : null;
+        const defaultAddress = addresses.find(a => a.isDefault) || addresses[0];
+        if (defaultAddress && firstNameField && !firstNameField.value) {
+            if (select) select.value = defaultAddress.id;
+            this.fillCheckoutAddress(defaultAddress.id);
+        }
+    }
+
+    fillCheckoutAddress(addressId) {
+        const address = this.savedAddresses.find(a => a.id === addressId);
+        if (!address) return;
+
+        const country = CHECKOUT_SCHEMA.country(address.country) ? address.country : pricing.config.defaultCountry;
+        this.setFieldValue('firstName', address.firstName || '');
+        this.setFieldValue('lastName', address.lastName || '');
+        this.setFieldValue('phone', address.phone || '');
+        this.setFieldValue('country', country);
+        this.changeCheckoutCountry(country, address.state || '');
+        this.setFieldValue('address', address.street || '');
+        this.setFieldValue('city', address.city || '');
+        this.setFieldValue('zipCode', address.zipCode || '');
+        this.clearFieldErrors(document.getElementById('checkout-form'));
+        this.displayPriceSummary('checkout', this.quoteCart());
+    }
+
+    // Adds the address used for an order to the account unless it's already
+    // saved. `details` are the checked checkout fields.
+    async saveCheckoutAddress(details, label) {
+        const { email, ...address } = details;
+        // Addresses saved before countries were asked for are in the default one
+        const value = (a, field) => String(a[field] || (field === 'country' ? pricing.config.defaultCountry : '')).trim().toLowerCase();
+        const sameAddress = (a) => ['street', 'city', 'state', 'zipCode', 'country']
+            .every(field => value(a, field) === value(address, field));
+        if (this.savedAddresses.some(sameAddress)) return;
+
+        const isFirst = this.savedAddresses.length === 0;
+        await this.saveAddresses([
+            ...this.savedAddresses,
+            { ...address, id: `address-${Date.now().toString(36)}`, label: label || address.street, isDefault: isFirst }
+        ]);
+    }
+
+    async loadAdminDashboard() {
+        await this.loadDashboardStats();
+        await this.loadRecentOrders();
+    }
+
+    async loadDashboardStats() {
+        try {
+            const [productsResponse, ordersResponse] = await Promise.all([
+                api.getProducts(),
                 api.getOrders()
             ]);
 
-            const products = productsResponse.data || [];
-            const orders = ordersResponse.data || [];
+            const products = productsResponse.data || [];
+            const orders = ordersResponse.data || [];
+
+            const totalProducts = products.length;
+            const totalOrders = orders.length;
+            const totalRevenue = new SalesAnalytics(orders).summary().revenue;
+            const lowStockCount = products.filter(p => INVENTORY.isLow(p, this.categories)).length;
+
+            const totalProductsEl = document.getElementById('total-products');
+            const totalOrdersEl = document.getElementById('total-orders');
+            const totalRevenueEl = document.getElementById('total-revenue');
+            const lowStockCountEl = document.getElementById('low-stock-count');
+
+            if (totalProductsEl) totalProductsEl.textContent = totalProducts;
+            if (totalOrdersEl) totalOrdersEl.textContent = totalOrders;
+            if (totalRevenueEl) totalRevenueEl.textContent = pricing.format(totalRevenue);
+            if (lowStockCountEl) lowStockCountEl.textContent = lowStockCount;
+
+            this.displayStockAlerts(products);
+        } catch (error) {
+            console.error('Error loading dashboard stats:', error);
+        }
+    }
+
+    // Products below their reorder threshold, emptiest first
+    displayStockAlerts(products) {
+        const container = document.getElementById('stock-alerts');
+        if (!container) return;
+
+        const alerts = products
+            .filter(product => INVENTORY.isLow(product, this.categories))
+            .sort((a, b) => a.stock - b.stock);
+        if (alerts.length === 0) {
+            setHTML(container, html`<p>All products are above their reorder threshold.</p>`);
+            return;
+        }
+
+        const canManage = auth.can('admin:manage');
+        setHTML(container, html`${alerts.map(product => html`
+            <div class="stock-alert ${product.stock <= 0 ? 'out-of-stock' : ''}">
+                <div class="stock-alert-info">
+                    <button type="button" class="stock-alert-name" data-action="view-product" data-id="${product._id}">${product.name}</button>
+                    <span class="text-muted">${product.category}</span>
+                </div>
+                <span class="stock-status low-stock">
+                    ${product.stock <= 0 ? 'Out of stock' : `${product.stock} left`} (reorder below ${INVENTORY.threshold(product, this.categories)})
+                </span>
+                ${canManage ? html`
+                    <div class="stock-alert-actions">
+                        <button type="button" class="btn btn--secondary btn--sm" data-action="restock-product" data-id="${product._id}">Restock</button>
+                        <button type="button" class="btn btn--secondary btn--sm" data-action="edit-product" data-id="${product._id}">Edit</button>
+                    </div>
+                ` : ''}
+            </div>
+        `)}`);
+    }
+
+    async loadRecentOrders() {
+        try {
+            const response = await api.getOrders();
+            const orders = response.data || [];
+            const recentOrders = orders.slice(0, 5);
+
+            const container = document.getElementById('recent-orders');
+            if (!container) return;
+
+            if (recentOrders.length === 0) {
+                setHTML(container, html`<p>No recent orders</p>`);
+                return;
+            }
+
+            setHTML(container, html`${recentOrders.map(order => {
+                const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
+                return html`
+                    <div class="recent-order-item">
+                        <div class="order-info">
+                            <strong>Order #${order._id.substring(0, 8)}</strong>
+                            <span>${order.customerName}</span>
+                            <span>${orderDate}</span>
+                        </div>
+                        <div class="order-amount">${pricing.format(order.totalAmount)}</div>
+                        <div class="order-status status-${order.status || 'pending'}">${order.status || 'pending'}</div>
+                    </div>
+                `;
+            })}`);
+
+        } catch (error) {
+            console.error('Error loading recent orders:', error);
+        }
+    }
+
+    // `this.products` always holds the full catalog, which the cart, the
+    // category counts and the admin views use; the storefront grid itself is
+    // fetched a page at a time (see displayProducts).
+    async loadProducts() {
+        try {
+            // Rapid navigations supersede each other instead of racing
+            const response = await api.getProducts({ cancelKey: 'products' });
+            this.products = response.data || [];
+            this.displayProducts();
+            
+            // Validate cart after loading products
+            await this.validateAndLoadCart();
+            this.updateCartDisplay();
+        } catch (error) {
+            if (error.isAborted) return;
+            this.showError(this.describeError(error, 'Failed to load products. Please try again.'));
+            console.error(error);
+        }
+    }
+
+    // Fetches everything already scrolled through in one page, so a refresh
+    // keeps the shopper's place; showMoreProducts() then asks for the next
+    async displayProducts() {
+        const grid = document.getElementById('products-grid');
+        if (!grid) return;
+
+        // Product counts in the category filter follow the catalog
+        this.populateCategorySelects();
+        if (this.currentPage !== 'products') return;
+
+        const request = ++this.storefrontRequest;
+        let response;
+        try {
+            response = await api.getProductsPage(
+                { ...this.storefrontParams(), page: 1, limit: this.storefrontVisible },
+                { cancelKey: 'storefront' }
+            );
+        } catch (error) {
+            if (error.isAborted) return;
+            console.error('Error loading products:', error);
+            this.showError(this.describeError(error, 'Failed to load products. Please try again.'));
+            return;
+        }
+        if (request !== this.storefrontRequest) return;
+
+        const products = response.data || [];
+        this.storefrontTotal = response.pagination.total;
+        this.displayResultCount(this.storefrontTotal);
+
+        if (products.length === 0) {
+            this.displayLoadMore(0);
+            setHTML(grid, html`
+                <div class="empty-state">
+                    <h3>No products found</h3>
+                    <p>${this.products.length === 0
+                        ? 'There are no products in the store yet.'
+                        : 'Nothing matches your search and filters. Try a different search or clear the filters.'}</p>
+                    ${this.products.length > 0 ? html`
+                        <button class="btn btn--secondary" data-action="clear-storefront-filters">Clear filters</button>
+                    ` : ''}
+                </div>
+            `);
+            return;
+        }
+
+        grid.innerHTML = '';
+        products.forEach(product => {
+            const card = this.createProductCard(product);
+            grid.appendChild(card);
+        });
+        this.displayLoadMore(this.storefrontTotal);
+    }
+
+    // Appends the next page; a newer displayProducts() call wins over a page
+    // still on its way
+    async showMoreProducts() {
+        const grid = document.getElementById('products-grid');
+        if (!grid || this.storefrontLoadingMore || this.storefrontVisible >= this.storefrontTotal) return;
+
+        const request = this.storefrontRequest;
+        const batch = SimpleShop.storefrontBatch;
+        this.storefrontLoadingMore = true;
+        try {
+            const response = await api.getProductsPage({
+                ...this.storefrontParams(),
+                page: Math.floor(this.storefrontVisible / batch) + 1,
+                limit: batch
+            });
+            if (request !== this.storefrontRequest) return;
+
+            (response.data || []).forEach(product => grid.appendChild(this.createProductCard(product)));
+            this.storefrontVisible += batch;
+            this.storefrontTotal = response.pagination.total;
+            this.displayLoadMore(this.storefrontTotal);
+        } catch (error) {
+            console.error('Error loading more products:', error);
+            this.showError(this.describeError(error, 'Failed to load more products. Please try again.'));
+        } finally {
+            this.storefrontLoadingMore = false;
+        }
+    }
+
+    // The button is the fallback for browsers without IntersectionObserver
+    // and for keyboard users; the observer set up in setupInfiniteScroll()
+    // normally loads the next batch before it's reached.
+    displayLoadMore(total) {
+        const sentinel = document.getElementById('products-sentinel');
+        if (!sentinel) return;
+
+        const remaining = total - this.storefrontVisible;
+        setHTML(sentinel, remaining > 0
+            ? html`<button class="btn btn--secondary" data-action="load-more-products">Load more (${remaining} remaining)</button>`
+            : '');
+    }
+
+    setupInfiniteScroll() {
+        const sentinel = document.getElementById('products-sentinel');
+        if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting) && this.currentPage === 'products') {
+                this.showMoreProducts();
+            }
+        }, { rootMargin: '400px 0px' });
+        observer.observe(sentinel);
+    }
+
+    static defaultStorefrontFilters() {
+        return { category: 'all', query: '', sort: 'featured', minPrice: '', maxPrice: '', inStock: false };
+    }
+
+    // URL: /products?category=&q=&sort=&min=&max=&instock=1
+    static storefrontFiltersFromQuery(query) {
+        const price = (value) => (value !== undefined && value !== '' && !isNaN(Number(value)) ? String(Number(value)) : '');
+        return {
+            category: query.category || 'all',
+            query: query.q || '',
+            sort: SimpleShop.storefrontSorts[query.sort] ? query.sort : 'featured',
+            minPrice: price(query.min),
+            maxPrice: price(query.max),
+            inStock: query.instock === '1'
+        };
+    }
+
+    static get storefrontSorts() {
+        return { featured: null, ...LIST_SORTS.products };
+    }
+
+    // The storefront filters as getProductsPage() parameters
+    storefrontParams() {
+        const { category, query, sort, minPrice, maxPrice, inStock } = this.storefrontFilters;
+        return {
+            category: category === 'all' ? '' : category,
+            q: query,
+            sort: sort === 'featured' ? '' : sort,
+            minPrice,
+            maxPrice,
+            inStock: inStock ? 1 : ''
+        };
+    }
+
+    displayResultCount(shown) {
+        const counter = document.getElementById('products-result-count');
+        if (!counter) return;
+
+        const total = this.products.length;
+        const filtered = this.hasStorefrontFilters();
+        setHTML(counter, html`
+            ${filtered
+                ? `Showing ${shown} of ${total} product${total === 1 ? '' : 's'}`
+                : `${total} product${total === 1 ? '' : 's'}`}
+            ${filtered ? html`<button class="btn btn--secondary btn--sm" data-action="clear-storefront-filters">Clear filters</button>` : ''}
+        `);
+    }
+
+    hasStorefrontFilters() {
+        const { category, query, minPrice, maxPrice, inStock } = this.storefrontFilters;
+        return category !== 'all' || query !== '' || minPrice !== '' || maxPrice !== '' || inStock;
+    }
+
+    setStorefrontFields() {
+        const { category, query, sort, minPrice, maxPrice, inStock } = this.storefrontFilters;
+        this.setFieldValue('category-filter', category);
+        this.setFieldValue('storefront-search', query);
+        this.setFieldValue('storefront-sort', sort);
+        this.setFieldValue('price-min', minPrice);
+        this.setFieldValue('price-max', maxPrice);
+        const inStockField = document.getElementById('in-stock-only');
+        if (inStockField) inStockField.checked = inStock;
+    }
+
+    updateStorefrontFilters(changes) {
+        clearTimeout(this.searchTimer);
+        this.storefrontVisible = SimpleShop.storefrontBatch;
+        this.storefrontFilters = { ...this.storefrontFilters, ...this.pendingStorefrontChanges, ...changes };
+        this.pendingStorefrontChanges = {};
+        this.syncStorefrontRoute({ replace: true });
+        this.displayProducts();
+    }
+
+    // Typing re-filters once the shopper pauses rather than on every keystroke
+    debounceStorefrontFilters(changes, delay = 250) {
+        clearTimeout(this.searchTimer);
+        this.pendingStorefrontChanges = { ...this.pendingStorefrontChanges, ...changes };
+        this.searchTimer = setTimeout(() => this.updateStorefrontFilters({}), delay);
+    }
+
+    clearStorefrontFilters() {
+        clearTimeout(this.searchTimer);
+        this.pendingStorefrontChanges = {};
+        this.storefrontVisible = SimpleShop.storefrontBatch;
+        this.storefrontFilters = { ...SimpleShop.defaultStorefrontFilters(), sort: this.storefrontFilters.sort };
+        this.setStorefrontFields();
+        this.syncStorefrontRoute({ replace: true });
+        this.displayProducts();
+    }
+
+    filterProducts(category) {
+        this.updateStorefrontFilters({ category });
+    }
+
+    syncStorefrontRoute(options = {}) {
+        const { category, query, sort, minPrice, maxPrice, inStock } = this.storefrontFilters;
+        this.router.sync('/products', {
+            category: category === 'all' ? '' : category,
+            q: query,
+            sort: sort === 'featured' ? '' : sort,
+            min: minPrice,
+            max: maxPrice,
+            instock: inStock ? '1' : ''
+        }, options);
+    }
+
+    createProductCard(product) {
+        const card = document.createElement('div');
+        card.className = 'product-card fade-in';
+        card.dataset.productId = product._id;
+        setHTML(card, this.renderProductCard(product, VARIANTS.initial(product)));
+        return card;
+    }
+
+    // Price, stock and image follow the variant picked on the card
+    renderProductCard(product, variant) {
+        const productLink = `#/product/${encodeURIComponent(product._id)}`;
+        return html`
+            <a href="${productLink}" class="product-link">
+                <img src="${safeImageUrl((variant && variant.image) || IMAGES.primary(product, { thumbnail: true }))}" alt="${product.name}" class="product-image">
+            </a>
+            <div class="product-info">
+                <h3 class="product-name"><a href="${productLink}" class="product-link">${product.name}</a></h3>
+                <div class="product-price">${pricing.format(VARIANTS.price(product, variant))}</div>
+                <p class="product-description">${product.description}</p>
+                ${this.renderVariantPicker(product, variant)}
+                <div class="product-meta">
+                    <span class="product-category">${product.category}</span>
+                    <span class="product-stock">Stock: ${VARIANTS.stock(product, variant)}</span>
+                </div>
+                <button class="btn btn--primary btn--full-width" data-action="add-to-cart" data-id="${product._id}" data-sku="${variant ? variant.sku : ''}">
+                    Add to Cart
+                </button>
+            </div>
+        `;
+    }
+
+    // One select per option axis. Combinations nobody stocks are listed as
+    // unavailable so shoppers can see what exists.
+    renderVariantPicker(product, variant) {
+        if (!variant) return '';
+        return html`
+            <div class="variant-picker">
+                ${product.options.map(option => html`
+                    <label class="variant-option">
+                        <span>${option.name}</span>
+                        <select class="form-control" data-action="select-variant" data-option="${option.name}">
+                            ${option.values.map(value => {
+                                const candidate = VARIANTS.match(product, { ...variant.options, [option.name]: value });
+                                const note = !candidate ? ' (unavailable)' : candidate.stock <= 0 ? ' (sold out)' : '';
+                                return html`<option value="${value}" ${value === variant.options[option.name] ? html`selected` : ''}>${value}${note}</option>`;
+                            })}
+                        </select>
+                    </label>
+                `)}
+            </div>
+        `;
+    }
+
+    // Picking an option that doesn't exist with the others falls back to the
+    // first variant that has it
+    selectVariant(select) {
+        const container = select.closest('[data-product-id]');
+        const product = container ? this.products.find(p => p._id === container.dataset.productId) : null;
+        if (!product) return;
+
+        const selection = Object.fromEntries([...container.querySelectorAll('[data-action="select-variant"]')]
+            .map(el => [el.dataset.option, el.value]));
+        const variant = VARIANTS.match(product, selection) ||
+            product.variants.find(v => v.options[select.dataset.option] === select.value);
+        if (!variant) return;
+
+        if (container.classList.contains('product-card')) {
+            setHTML(container, this.renderProductCard(product, variant));
+        } else {
+            this.displayProductDetail(product, variant.sku);
+        }
+    }
+
+    async loadProductDetail(productId) {
+        const container = document.getElementById('product-detail');
+        const relatedSection = document.getElementById('related-products-section');
+        if (!container) return;
+
+        setHTML(container, html`<p>Loading product...</p>`);
+        if (relatedSection) relatedSection.classList.add('hidden');
+
+        try {
+            const [productResponse, productsResponse] = await Promise.all([
+                api.getProduct(productId),
+                api.getProducts()
+            ]);
+            const product = productResponse.data;
+            if (!product) throw new Error('Product not found');
+
+            // Keep the cached catalog current so cart stock checks see fresh data
+            this.products = productsResponse.data || this.products;
+            const productIndex = this.products.findIndex(p => p._id === product._id);
+            if (productIndex !== -1) {
+                this.products[productIndex] = product;
+            } else {
+                this.products.push(product);
+            }
+
+            this.displayProductDetail(product);
+            this.displayRelatedProducts(product);
+        } catch (error) {
+            console.error('Error loading product:', error);
+            const message = error.status === 404
+                ? 'This product could not be found. It may have been removed.'
+                : this.describeError(error, 'Failed to load this product. Please try again.');
+            setHTML(container, html`
+                <div class="empty-cart">
+                    <p>${message}</p>
+                </div>
+            `);
+        }
+    }
+
+    displayProductDetail(product, sku = null) {
+        const container = document.getElementById('product-detail');
+        if (!container) return;
+
+        const variant = VARIANTS.find(product, sku) || VARIANTS.initial(product);
+        const stock = VARIANTS.stock(product, variant);
+        const key = VARIANTS.lineKey(product._id, variant && variant.sku);
+        const inCart = this.cart.find(item => item.key === key);
+        const available = Math.max(stock - (inCart ? inCart.quantity : 0), 0);
+        const stockState = {
+            out: { className: 'low-stock', label: 'Out of stock' },
+            low: { className: 'medium-stock', label: `Only ${stock} left` }
+        }[INVENTORY.level({ ...product, stock }, this.categories)] || { className: 'good-stock', label: `In stock (${stock} available)` };
+        const gallery = IMAGES.gallery(product, variant);
+
+        container.dataset.productId = product._id;
+        setHTML(container, html`
+            <div class="product-detail-media">
+                <button type="button" class="gallery-main" data-index="0" aria-label="Enlarge image">
+                    <img src="${safeImageUrl(gallery.length > 0 ? gallery[0].url : '')}" alt="${product.name}" class="product-detail-image">
+                </button>
+                ${gallery.length > 1 ? html`
+                    <div class="gallery-thumbs">
+                        ${gallery.map((image, index) => html`
+                            <button type="button" class="gallery-thumb ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="Show image ${index + 1}">
+                                <img src="${safeImageUrl(IMAGES.thumbnail(image))}" alt="">
+                            </button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="product-detail-info">
+                <span class="product-category">${product.category}</span>
+                <h2 class="product-detail-name">${product.name}</h2>
+                <div class="product-price">${pricing.format(VARIANTS.price(product, variant))}</div>
+                ${this.renderVariantPicker(product, variant)}
+                <div class="stock-status ${stockState.className}">${stockState.label}</div>
+                <p class="product-detail-description">${product.description}</p>
+                <div class="product-detail-purchase">
+                    <div class="quantity-controls">
+                        <button type="button" class="quantity-btn" data-step="-1">-</button>
+                        <input type="number" id="detail-quantity" class="form-control quantity-input"
+                            value="${available > 0 ? 1 : 0}" min="1" max="${available}" ${available > 0 ? '' : html`disabled`}>
+                        <button type="button" class="quantity-btn" data-step="1">+</button>
+                    </div>
+                    <button type="button" id="detail-add-to-cart" class="btn btn--primary" ${available > 0 ? '' : html`disabled`}>
+                        ${stock <= 0 ? 'Out of Stock' : available > 0 ? 'Add to Cart' : 'All stock in cart'}
+                    </button>
+                </div>
+            </div>
+        `);
+
+        const mainImage = container.querySelector('.gallery-main');
+        container.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => {
+                const index = Number(thumb.dataset.index);
+                const image = mainImage.querySelector('img');
+                mainImage.dataset.index = index;
+                delete image.dataset.broken;
+                image.src = safeImageUrl(gallery[index].url);
+                container.querySelectorAll('.gallery-thumb').forEach(other => other.classList.toggle('active', other === thumb));
+            });
+        });
+        mainImage.addEventListener('click', () => {
+            if (gallery.length > 0) this.openImageViewer(gallery, Number(mainImage.dataset.index), product.name);
+        });
+
+        const quantityInput = container.querySelector('#detail-quantity');
+        const clampQuantity = (value) => Math.min(Math.max(parseInt(value) || 1, 1), available);
+
+        container.querySelectorAll('.quantity-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (available <= 0) return;
+                quantityInput.value = clampQuantity(parseInt(quantityInput.value) + parseInt(btn.dataset.step));
+            });
+        });
+        quantityInput.addEventListener('change', () => {
+            if (available > 0) quantityInput.value = clampQuantity(quantityInput.value);
+        });
+        container.querySelector('#detail-add-to-cart').addEventListener('click', () => {
+            if (this.addToCart(product._id, clampQuantity(quantityInput.value), variant && variant.sku)) {
+                this.displayProductDetail(product, variant && variant.sku);
+            }
+        });
+    }
+
+    // Full-size gallery viewer. Clicking the photo toggles a 2x zoom that
+    // follows the pointer.
+    openImageViewer(images, index, title) {
+        this.viewer = { images, index, title };
+        this.renderImageViewer();
+        document.getElementById('image-viewer').classList.remove('hidden');
+    }
+
+    stepImageViewer(step) {
+        if (!this.viewer) return;
+        const count = this.viewer.images.length;
+        this.viewer.index = (this.viewer.index + step + count) % count;
+        this.renderImageViewer();
+    }
+
+    renderImageViewer() {
+        const { images, index, title } = this.viewer;
+        const stage = document.getElementById('image-viewer-stage');
+        const image = document.getElementById('image-viewer-image');
+        stage.classList.remove('zoomed');
+        delete image.dataset.broken;
+        image.src = safeImageUrl(images[index].url);
+        image.alt = `${title}, image ${index + 1} of ${images.length}`;
+        document.getElementById('image-viewer-position').textContent = `${index + 1} / ${images.length}`;
+        document.querySelectorAll('#image-viewer [data-action="viewer-step"]').forEach(btn => {
+            btn.disabled = images.length < 2;
+        });
+    }
+
+    setupImageViewer() {
+        const viewer = document.getElementById('image-viewer');
+        const stage = document.getElementById('image-viewer-stage');
+        if (!viewer || !stage) return;
+
+        stage.addEventListener('click', () => stage.classList.toggle('zoomed'));
+        stage.addEventListener('mousemove', (e) => {
+            const bounds = stage.getBoundingClientRect();
+            const x = ((e.clientX - bounds.left) / bounds.width) * 100;
+            const y = ((e.clientY - bounds.top) / bounds.height) * 100;
+            stage.style.setProperty('--zoom-origin', `${x}% ${y}%`);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (viewer.classList.contains('hidden')) return;
+            if (e.key === 'Escape') this.closeModal('image-viewer');
+            if (e.key === 'ArrowLeft') this.stepImageViewer(-1);
+            if (e.key === 'ArrowRight') this.stepImageViewer(1);
+        });
+    }
+
+    displayRelatedProducts(product) {
+        const section = document.getElementById('related-products-section');
+        const grid = document.getElementById('related-products');
+        if (!section || !grid) return;
+
+        const related = this.products
+            .filter(p => p.category === product.category && p._id !== product._id)
+            .slice(0, 4);
+
+        grid.innerHTML = '';
+        related.forEach(p => grid.appendChild(this.createProductCard(p)));
+        section.classList.toggle('hidden', related.length === 0);
+    }
+
+    createAdminProductItem(product) {
+        const stockStatus = INVENTORY.isLow(product, this.categories) ? 'low-stock' : `${INVENTORY.level(product, this.categories)}-stock`;
+        const lastRestock = (product.restocks || [])[(product.restocks || []).length - 1];
+        const canManage = auth.can('admin:manage');
+        return html`
+            <div class="admin-product-item fade-in ${canManage ? 'selectable' : ''}">
+                ${canManage ? this.renderRowCheckbox('products', product._id, product.name) : ''}
+                <img src="${safeImageUrl(IMAGES.primary(product, { thumbnail: true }))}" alt="${product.name}" class="admin-product-image">
+                <div class="admin-product-info">
+                    <h4>${product.name}</h4>
+                    <div class="admin-product-price">${pricing.format(product.price)}</div>
+                    <div class="admin-product-meta">
+                        Category: ${product.category} |
+                        <span class="stock-status ${stockStatus}">Stock: ${product.stock}</span>
+                        ${VARIANTS.has(product) ? html`<span class="text-muted">across ${product.variants.length} variants</span>` : ''}
+                        <span class="text-muted">(reorder below ${INVENTORY.threshold(product, this.categories)})</span>
+                        ${lastRestock ? html`| Restocked +${lastRestock.quantity} on ${new Date(lastRestock.at).toLocaleDateString()}` : ''}
+                    </div>
+                </div>
+                ${canManage ? html`
+                    <div class="admin-product-actions">
+                        <button class="btn btn--secondary btn--sm" data-action="restock-product" data-id="${product._id}">Restock</button>
+                        <button class="btn btn--secondary btn--sm" data-action="edit-product" data-id="${product._id}">Edit</button>
+                        <button class="delete-btn btn--sm" data-action="delete-product" data-id="${product._id}">Delete</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    searchProducts(query) {
+        this.productFilters.query = query;
+        this.productFilters.page = 1;
+        this.syncAdminRoute({ replace: true });
+        this.applyAdminProductFilters();
+    }
+
+    filterAdminProducts(category) {
+        this.productFilters.category = category;
+        this.productFilters.page = 1;
+        this.syncAdminRoute({ replace: true });
+        this.applyAdminProductFilters();
+    }
+
+    // The whole catalog is already loaded for the storefront, so the admin
+    // list is filtered and paged locally
+    applyAdminProductFilters() {
+        const { category, query, page, limit } = this.productFilters;
+        const filteredProducts = this.products.filter(product =>
+            LIST_FILTERS.products(product, { category: category === 'all' ? '' : category, q: query }));
+        const result = paginate(filteredProducts, { page, limit });
+
+        // Selections only ever cover what the current filters match
+        const selected = this.selection.products;
+        this.selection.products = new Map(filteredProducts
+            .filter(product => selected.has(product._id))
+            .map(product => [product._id, product]));
+        this.productMatches = filteredProducts;
+        this.productPage = result.data;
+
+        this.productFilters.page = result.pagination.page;
+        this.displayFilteredProducts(result.data);
+        this.displaySelection('products');
+
+        const controls = document.getElementById('admin-products-pagination');
+        if (controls) setHTML(controls, this.renderPagination('products', result.pagination));
+    }
+
+    displayFilteredProducts(products) {
+        const container = document.getElementById('admin-products');
+        if (!container) return;
+
+        const empty = this.products.length === 0
+            ? 'No products available. Add some products first.'
+            : 'No products found matching your criteria.';
+        this.renderList(container, products, html`<p>${empty}</p>`, product => this.createAdminProductItem(product));
+    }
+
+    editProduct(productId) {
+        if (!this.requirePermission('admin:manage')) return;
+        const product = this.products.find(p => p._id === productId);
+        if (!product) return;
+
+        document.getElementById('edit-product-id').value = product._id;
+        document.getElementById('edit-product-name').value = product.name;
+        document.getElementById('edit-product-price').value = product.price;
+        document.getElementById('edit-product-stock').value = product.stock;
+        document.getElementById('edit-product-reorder-threshold').value = product.reorderThreshold ?? '';
+        document.getElementById('edit-product-weight').value = product.weight ?? '';
+        document.getElementById('edit-product-reorder-threshold').placeholder = `Category default (${INVENTORY.threshold({ ...product, reorderThreshold: null }, this.categories)})`;
+        document.getElementById('edit-product-description').value = product.description;
+        document.getElementById('edit-product-category').value = product.category;
+        document.getElementById('edit-product-image').value = '';
+        this.setImageDraft('edit-product-images', IMAGES.list(product));
+        this.renderVariantEditor(document.getElementById('edit-product-variants'), product);
+        this.clearFieldErrors(document.getElementById('edit-product-form'));
+
+        document.getElementById('edit-product-modal').classList.remove('hidden');
+    }
+
+    // Variant editor in the add and edit product forms. The rows are rebuilt
+    // from the Sizes and Colors fields, keeping what was already entered for
+    // combinations that are still there.
+    collectVariants(editor) {
+        const options = [...editor.querySelectorAll('[data-axis]')]
+            .map(input => ({
+                name: input.dataset.axis,
+                values: [...new Set(input.value.split(',').map(value => value.trim()).filter(Boolean))]
+            }))
+            .filter(option => option.values.length > 0);
+        if (options.length === 0) return { options: [], variants: [] };
+
+        const entered = [...editor.querySelectorAll('.variant-row')].map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+            return {
+                sku: field('sku'),
+                options: JSON.parse(row.dataset.options),
+                price: field('price') === '' ? null : parseFloat(field('price')),
+                stock: Number(field('stock')),
+                image: field('image')
+            };
+        });
+        const sameOptions = (a, b) => Object.keys(a).length === Object.keys(b).length &&
+            Object.entries(a).every(([axis, value]) => b[axis] === value);
+        const name = document.getElementById(`${editor.dataset.prefix}-name`).value;
+        const variants = VARIANTS.combinations(options).map(combo =>
+            entered.find(variant => sameOptions(variant.options, combo)) ||
+            { sku: VARIANTS.defaultSku(name, combo), options: combo, price: null, stock: 0, image: '' });
+        return { options, variants };
+    }
+
+    renderVariantEditor(editor, { options = [], variants = [] } = {}) {
+        editor.querySelectorAll('[data-axis]').forEach(input => {
+            const option = options.find(o => o.name === input.dataset.axis);
+            input.value = option ? option.values.join(', ') : '';
+        });
+        setHTML(editor.querySelector('.variant-rows'), variants.length === 0 ? '' : html`
+            <table class="variant-table">
+                <thead>
+                    <tr><th>Variant</th><th>SKU</th><th>Price</th><th>Stock</th><th>Image URL</th></tr>
+                </thead>
+                <tbody>
+                    ${variants.map(variant => html`
+                        <tr class="variant-row" data-options="${JSON.stringify(variant.options)}">
+                            <td>${VARIANTS.label(variant)}</td>
+                            <td><input type="text" class="form-control" data-field="sku" value="${variant.sku}" aria-label="SKU"></td>
+                            <td><input type="number" class="form-control" data-field="price" step="0.01" min="0" value="${variant.price ?? ''}" placeholder="Product price" aria-label="Price"></td>
+                            <td><input type="number" class="form-control" data-field="stock" step="1" min="0" value="${variant.stock}" aria-label="Stock"></td>
+                            <td><input type="url" class="form-control" data-field="image" value="${variant.image || ''}" placeholder="Product image" aria-label="Image URL"></td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+        this.syncVariantStock(editor);
+    }
+
+    buildVariants(editorId) {
+        const editor = document.getElementById(editorId);
+        if (editor) this.renderVariantEditor(editor, this.collectVariants(editor));
+    }
+
+    // A product with variants has their total as its stock
+    syncVariantStock(editor) {
+        const stockInput = document.getElementById(`${editor.dataset.prefix}-stock`);
+        const rows = [...editor.querySelectorAll('[data-field="stock"]')];
+        if (!stockInput) return;
+        stockInput.readOnly = rows.length > 0;
+        if (rows.length > 0) stockInput.value = rows.reduce((sum, input) => sum + (parseInt(input.value) || 0), 0);
+    }
+
+    // Image gallery in the add and edit product forms
+    setImageDraft(managerId, images) {
+        this.imageDrafts[managerId] = [...images];
+        this.renderImageTiles(managerId);
+    }
+
+    renderImageTiles(managerId) {
+        const manager = document.getElementById(managerId);
+        if (!manager) return;
+        const images = this.imageDrafts[managerId] || [];
+        setHTML(manager.querySelector('.image-tiles'), html`${images.map((image, index) => html`
+            <div class="image-tile ${index === 0 ? 'primary' : ''}">
+                <img src="${safeImageUrl(IMAGES.thumbnail(image))}" alt="Image ${index + 1}">
+                ${index === 0
+                    ? html`<span class="image-badge">Primary</span>`
+                    : html`<button type="button" class="btn btn--secondary btn--sm" data-action="move-image" data-manager="${managerId}" data-index="${index}" data-to="0">Make primary</button>`}
+                <div class="image-tile-actions">
+                    <button type="button" class="btn btn--secondary btn--sm" data-action="move-image" data-manager="${managerId}" data-index="${index}" data-to="${index - 1}"
+                        aria-label="Move image ${index + 1} earlier" ${index === 0 ? html`disabled` : ''}>&larr;</button>
+                    <button type="button" class="btn btn--secondary btn--sm" data-action="move-image" data-manager="${managerId}" data-index="${index}" data-to="${index + 1}"
+                        aria-label="Move image ${index + 1} later" ${index === images.length - 1 ? html`disabled` : ''}>&rarr;</button>
+                    <button type="button" class="delete-btn btn--sm" data-action="remove-image" data-manager="${managerId}" data-index="${index}" aria-label="Remove image ${index + 1}">&times;</button>
+                </div>
+            </div>
+        `)}`);
+        // Gallery changes don't fire input events on the form
+        if (managerId === 'product-images') this.queueProductDraft();
+    }
+
+    async uploadImages(managerId, files) {
+        const list = [...(files || [])];
+        if (list.length === 0) return;
+
+        const failures = [];
+        this.showLoading(`Processing ${list.length} image${list.length === 1 ? '' : 's'}...`);
+        try {
+            for (const file of list) {
+                try {
+                    this.imageDrafts[managerId] = [...(this.imageDrafts[managerId] || []), await IMAGES.fromFile(file)];
+                } catch (error) {
+                    console.error('Error processing image:', error);
+                    failures.push(error.message);
+                }
+            }
+        } finally {
+            this.hideLoading();
+        }
+
+        const input = document.querySelector(`#${managerId} input[type="file"]`);
+        if (input) input.value = '';
+        this.renderImageTiles(managerId);
+        if (failures.length > 0) this.showError(`Some images were skipped: ${failures.join('; ')}`);
+    }
+
+    addImageUrl(managerId) {
+        const input = document.querySelector(`#${managerId} input[type="url"]`);
+        const url = input ? input.value.trim() : '';
+        if (!url) return;
+        if (!PRODUCT_SCHEMA.isUrl(url)) {
+            this.showError('Image URLs must be http(s) links, paths on this site or image data URLs');
+            return;
+        }
+
+        const images = this.imageDrafts[managerId] || [];
+        if (!images.some(image => image.url === url)) this.imageDrafts[managerId] = [...images, { url }];
+        input.value = '';
+        this.renderImageTiles(managerId);
+    }
+
+    moveImage(managerId, from, to) {
+        const images = [...(this.imageDrafts[managerId] || [])];
+        if (to < 0 || to >= images.length) return;
+        const [image] = images.splice(from, 1);
+        images.splice(to, 0, image);
+        this.setImageDraft(managerId, images);
+    }
+
+    removeImage(managerId, index) {
+        this.setImageDraft(managerId, (this.imageDrafts[managerId] || []).filter((image, i) => i !== index));
+    }
+
+    // The gallery to save, including a URL typed in but not yet added
+    collectImages(managerId) {
+        const input = document.querySelector(`#${managerId} input[type="url"]`);
+        const pending = input ? input.value.trim() : '';
+        const images = this.imageDrafts[managerId] || [];
+        return pending && !images.some(image => image.url === pending) ? [...images, { url: pending }] : [...images];
+    }
+
+    // The add and edit forms share field ids after their prefix:
+    // `product-price` and `edit-product-price`. Values are left as typed for
+    // PRODUCT_SCHEMA to check.
+    readProductForm(prefix) {
+        const value = (suffix) => {
+            const input = document.getElementById(`${prefix}-${suffix}`);
+            // A number input reports '' for text it can't parse; keep that distinct from empty
+            return input.validity && input.validity.badInput ? NaN : input.value;
+        };
+        const images = this.collectImages(`${prefix}-images`);
+        return {
+            name: value('name'),
+            price: value('price'),
+            stock: value('stock'),
+            reorderThreshold: value('reorder-threshold'),
+            weight: value('weight'),
+            description: value('description'),
+            category: value('category'),
+            images,
+            image: images.length > 0 ? images[0].url : '',
+            ...this.collectVariants(document.getElementById(`${prefix}-variants`))
+        };
+    }
+
+    static get productFieldIds() {
+        return {
+            name: 'name',
+            price: 'price',
+            stock: 'stock',
+            reorderThreshold: 'reorder-threshold',
+            weight: 'weight',
+            description: 'description',
+            category: 'category',
+            image: 'images',
+            images: 'images',
+            options: 'variants',
+            variants: 'variants'
+        };
+    }
+
+    showProductErrors(form, prefix, errors) {
+        const ids = SimpleShop.productFieldIds;
+        return this.showFieldErrors(form, errors,
+            (field) => (ids[field] ? document.getElementById(`${prefix}-${ids[field]}`) : null));
+    }
+
+    // Puts each message under its field and focuses the first one. `errors`
+    // maps field names to messages and `controlFor` finds the element each
+    // belongs to; messages with nowhere to go are returned.
+    showFieldErrors(form, errors, controlFor) {
+        this.clearFieldErrors(form);
+        const unplaced = [];
+        let first = null;
+        Object.entries(errors).forEach(([field, message]) => {
+            const control = controlFor(field);
+            if (!control) {
+                unplaced.push(message);
+                return;
+            }
+            if (this.showFieldError(control, message)) first = first || control;
+        });
+        if (first) {
+            const focusable = first.matches('input, select, textarea') ? first : first.querySelector('input, select, textarea');
+            (focusable || first).focus();
+        }
+        return unplaced;
+    }
+
+    // False when the control's group already shows a message
+    showFieldError(control, message) {
+        const group = control.closest('.form-group') || control;
+        if (group.querySelector('.field-error')) return false;
+
+        const note = document.createElement('p');
+        note.className = 'field-error';
+        note.id = `${control.id}-error`;
+        note.textContent = message;
+        group.appendChild(note);
+        control.classList.add('has-error');
+        control.setAttribute('aria-invalid', 'true');
+        control.setAttribute('aria-describedby', note.id);
+        return true;
+    }
+
+    clearFieldErrors(scope) {
+        scope.querySelectorAll('.field-error').forEach(note => note.remove());
+        scope.querySelectorAll('.has-error').forEach(control => {
+            control.classList.remove('has-error');
+            control.removeAttribute('aria-invalid');
+            control.removeAttribute('aria-describedby');
+        });
+    }
+
+    // Editing a field clears its message
+    clearFieldErrorFor(form, target) {
+        const group = [...form.querySelectorAll('.field-error')]
+            .map(note => note.parentElement)
+            .find(parent => parent.contains(target));
+        if (group) this.clearFieldErrors(group);
+    }
+
+    async updateProduct() {
+        if (!this.requirePermission('admin:manage')) return;
+        const form = document.getElementById('edit-product-form');
+        const productId = document.getElementById('edit-product-id').value;
+        const { data: productData, errors } = PRODUCT_SCHEMA.validate(this.readProductForm('edit-product'),
+            { products: this.products, id: productId });
+        if (Object.keys(errors).length > 0) {
+            this.showProductErrors(form, 'edit-product', errors);
+            return;
+        }
+        this.clearFieldErrors(form);
+
+        this.showLoading('Updating product...');
+        try {
+            await api.updateProduct(productId, productData);
+            
+            const before = [...this.products];
+            const productIndex = this.products.findIndex(p => p._id === productId);
+            if (productIndex !== -1) {
+                this.products[productIndex] = { ...this.products[productIndex], ...productData };
+            }
+            
+            this.applyAdminProductFilters();
+            this.displayProducts();
+            this.closeModal('edit-product-modal');
+            this.showSuccess('Product updated successfully!');
+            this.notifyLowStock(before);
+        } catch (error) {
+            if (error instanceof ApiError && error.fieldErrors) this.showProductErrors(form, 'edit-product', error.fieldErrors);
+            this.showError(this.describeError(error, 'Failed to update product. Please try again.'));
+            console.error(error);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // An empty field means "use the category's threshold"
+    static parseThreshold(value) {
+        return String(value ?? '').trim() === '' ? null : Math.max(parseInt(value) || 0, 0);
+    }
+
+    async restockProduct(productId) {
+        if (!this.requirePermission('admin:manage')) return;
+        const product = this.products.find(p => p._id === productId);
+        if (!product) return;
+        if (VARIANTS.has(product)) {
+            this.showNotification(`${product.name} is stocked per variant: add the units received to each variant`);
+            this.editProduct(productId);
+            return;
+        }
+
+        const answer = prompt(`Units of ${product.name} received (${product.stock} in stock):`, '');
+        if (answer === null || answer.trim() === '') return;
+        const quantity = Number(answer);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            this.showError('Enter the number of units received as a whole number of at least 1');
+            return;
+        }
+
+        this.showLoading('Recording delivery...');
+        try {
+            const response = await api.restockProduct(productId, quantity);
+            this.products = this.products.map(p => p._id === productId ? response.data : p);
+            this.applyAdminProductFilters();
+            this.displayProducts();
+            if (this.currentPage === 'admin' && this.currentTab === 'dashboard') await this.loadDashboardStats();
+            this.showSuccess(`${product.name} restocked: ${response.data.stock} in stock`);
+        } catch (error) {
+            console.error('Error restocking product:', error);
+            this.showError(this.describeError(error, 'Failed to record the delivery'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Tells staff when a change leaves products under their reorder threshold.
+    // `before` is the catalog as it was ahead of the change.
+    notifyLowStock(before) {
+        if (!auth.can('admin:view')) return;
+        const dropped = INVENTORY.newlyLow(before, this.products, this.categories);
+        if (dropped.length === 0) return;
+
+        const describe = (product) => product.stock <= 0
+            ? `${product.name} is out of stock`
+            : `${product.name} is down to ${product.stock} (reorder below ${INVENTORY.threshold(product, this.categories)})`;
+        this.showNotification(dropped.length === 1
+            ? `Low stock: ${describe(dropped[0])}`
+            : `Low stock: ${dropped.length} products fell below their reorder threshold (${dropped.map(p => p.name).join(', ')})`, 'warning');
+        if (this.currentPage === 'admin' && this.currentTab === 'dashboard') this.loadDashboardStats();
+    }
+
+    // Orders are filtered and paged by the API; `this.orders` holds the
+    // current page only
+    async loadOrders(options = {}) {
+        const { status, query, page, limit } = this.orderFilters;
+        try {
+            const response = await api.getOrdersPage(
+                { page, limit, status: status === 'all' ? '' : status, q: query },
+                { cancelKey: 'orders', ...options }
+            );
+            this.orders = response.data || [];
+            this.orderPagination = response.pagination;
+
+            // Deleting the last order on the last page leaves us past the end
+            if (this.orders.length === 0 && response.pagination && page > response.pagination.pages) {
+                this.orderFilters.page = response.pagination.pages;
+                this.syncAdminRoute({ replace: true });
+                return this.loadOrders(options);
+            }
+
+            this.displayOrders();
+            const controls = document.getElementById('admin-orders-pagination');
+            if (controls) setHTML(controls, this.renderPagination('orders', this.orderPagination));
+        } catch (error) {
+            if (error.isAborted) return;
+            console.error('Error loading orders:', error);
+            this.showError(this.describeError(error, 'Failed to load orders'));
+        }
+    }
+
+    displayOrders(ordersToDisplay = null) {
+        const container = document.getElementById('admin-orders');
+        if (!container) return;
+
+        const orders = ordersToDisplay || this.orders || [];
+
+        const canManage = auth.can('admin:manage');
+
+        this.renderList(container, orders, html`<p>No orders found.</p>`, order => {
+            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
+            const statusClass = `status-${order.status || 'pending'}`;
 
-            const totalProducts = products.length;
-            const totalOrders = orders.length;
-            const totalRevenue = orders.reduce((sum, order) => sum + (order.totalAmount || 0), 0);
-            const lowStockCount = products.filter(p => p.stock < 5).length;
+            return html`
+                <div class="admin-order-item fade-in">
+                    <div class="order-header">
+                        ${canManage ? this.renderRowCheckbox('orders', order._id, `order ${order._id.substring(0, 8)}`) : ''}
+                        <div class="order-id">Order #${order._id.substring(0, 8)}</div>
+                        <div class="order-date">${orderDate}</div>
+                        <div class="order-status ${statusClass}">${order.status || 'pending'}</div>
+                    </div>
+                    <div class="order-details">
+                        <div class="customer-info">
+                            <strong>${order.customerName}</strong>
+                            <span>${order.customerEmail}</span>
+                        </div>
+                        <div class="order-summary">
+                            <span>${order.items?.length || 0} items</span>
+                            <strong>${pricing.format(order.totalAmount)}</strong>
+                        </div>
+                    </div>
+                    <div class="order-actions">
+                        <button class="btn btn--secondary btn--sm" data-action="view-order" data-id="${order._id}">View</button>
+                        <select class="form-control status-select" data-action="update-order-status" data-id="${order._id}" ${canManage ? '' : html`disabled`}>
+                            ${ORDER_WORKFLOW.statuses.map(status => html`
+                                <option value="${status}" ${(order.status || 'pending') === status ? html`selected` : ''} ${ORDER_WORKFLOW.canTransition(order.status || 'pending', status) ? '' : html`disabled`}>${status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                            `)}
+                        </select>
+                        ${canManage ? html`<button class="delete-btn btn--sm" data-action="delete-order" data-id="${order._id}">Delete</button>` : ''}
+                    </div>
+                </div>
+            `;
+        });
+        this.displaySelection('orders');
+    }
 
-            const totalProductsEl = document.getElementById('total-products');
-            const totalOrdersEl = document.getElementById('total-orders');
-            const totalRevenueEl = document.getElementById('total-revenue');
-            const lowStockCountEl = document.getElementById('low-stock-count');
+    // Each keystroke would be a request, so searching waits for a pause
+    searchOrders(query) {
+        this.orderFilters.query = query;
+        clearTimeout(this.orderSearchTimer);
+        this.orderSearchTimer = setTimeout(() => this.applyOrderFilters(), 250);
+    }
 
-            if (totalProductsEl) totalProductsEl.textContent = totalProducts;
-            if (totalOrdersEl) totalOrdersEl.textContent = totalOrders;
-            if (totalRevenueEl) totalRevenueEl.textContent = `$${totalRevenue.toFixed(2)}`;
-            if (lowStockCountEl) lowStockCountEl.textContent = lowStockCount;
+    filterOrdersByStatus(status) {
+        this.orderFilters.status = status;
+        this.applyOrderFilters();
+    }
+
+    // New filters start again from the first page, with nothing selected
+    applyOrderFilters() {
+        clearTimeout(this.orderSearchTimer);
+        this.selection.orders.clear();
+        this.orderFilters.page = 1;
+        this.syncAdminRoute({ replace: true });
+        return this.loadOrders();
+    }
+
+    // Bulk actions. Both admin lists share the selection bar; products are
+    // filtered locally while orders come from the server a page at a time.
+    renderRowCheckbox(list, id, label) {
+        return html`
+            <input type="checkbox" class="row-select" data-action="toggle-select" data-list="${list}" data-id="${id}"
+                aria-label="Select ${label}" ${this.selection[list].has(id) ? html`checked` : ''}>
+        `;
+    }
+
+    pageRecords(list) {
+        return list === 'products' ? this.productPage : (this.orders || []);
+    }
+
+    matchCount(list) {
+        return list === 'products'
+            ? this.productMatches.length
+            : (this.orderPagination ? this.orderPagination.total : (this.orders || []).length);
+    }
+
+    displaySelection(list) {
+        const selected = this.selection[list];
+        const pageRecords = this.pageRecords(list);
+        const onPage = pageRecords.filter(record => selected.has(record._id)).length;
+
+        const pageBox = document.getElementById(`${list}-select-page`);
+        if (pageBox) {
+            pageBox.checked = pageRecords.length > 0 && onPage === pageRecords.length;
+            pageBox.indeterminate = onPage > 0 && onPage < pageRecords.length;
+        }
+
+        const matches = this.matchCount(list);
+        const summary = document.getElementById(`${list}-selection-summary`);
+        if (summary) {
+            setHTML(summary, html`
+                ${selected.size === 0 ? html`<span class="text-muted">None selected</span>` : html`<strong>${selected.size} selected</strong>`}
+                ${selected.size < matches ? html`
+                    <button class="btn btn--secondary btn--sm" data-action="select-all-matching" data-list="${list}">Select all ${matches} matching</button>
+                ` : ''}
+                ${selected.size > 0 ? html`
+                    <button class="btn btn--secondary btn--sm" data-action="clear-selection" data-list="${list}">Clear</button>
+                ` : ''}
+            `);
+        }
+
+        document.querySelectorAll(`#${list}-bulk-bar .bulk-controls button`).forEach(button => {
+            button.disabled = selected.size === 0;
+        });
+    }
+
+    toggleSelection(list, id, checked) {
+        const record = this.pageRecords(list).find(r => r._id === id);
+        if (checked && record) {
+            this.selection[list].set(id, record);
+        } else {
+            this.selection[list].delete(id);
+        }
+        this.displaySelection(list);
+    }
+
+    selectPage(list, checked) {
+        this.pageRecords(list).forEach(record => {
+            if (checked) {
+                this.selection[list].set(record._id, record);
+            } else {
+                this.selection[list].delete(record._id);
+            }
+        });
+        this.refreshSelectionRows(list);
+    }
+
+    // Everything the current search and filters match, not just this page
+    async selectAllMatching(list) {
+        if (list === 'products') {
+            this.productMatches.forEach(product => this.selection.products.set(product._id, product));
+            this.refreshSelectionRows(list);
+            return;
+        }
 
+        this.showLoading('Selecting orders...');
+        try {
+            const { orders, total } = await this.fetchMatchingOrders();
+            orders.forEach(order => this.selection.orders.set(order._id, order));
+            this.refreshSelectionRows(list);
+            if (orders.length < total) {
+                this.showError(`Only ${orders.length} of the ${total} matching orders could be loaded and selected`);
+            }
         } catch (error) {
-            console.error('Error loading dashboard stats:', error);
+            console.error('Error selecting orders:', error);
+            this.showError(this.describeError(error, 'Failed to select all matching orders'));
+        } finally {
+            this.hideLoading();
         }
     }
 
-    async loadRecentOrders() {
+    // Pages through the server's results, since a backend may cap `limit`.
+    // `total` is what the server says matches, which can be more than the
+    // orders it actually returned.
+    async fetchMatchingOrders() {
+        const { status, query } = this.orderFilters;
+        const orders = [];
+        let total = 0;
+        for (let page = 1; ; page++) {
+            const response = await api.getOrdersPage({
+                page,
+                limit: SimpleShop.pageSizes[SimpleShop.pageSizes.length - 1],
+                status: status === 'all' ? '' : status,
+                q: query
+            });
+            const data = response.data || [];
+            orders.push(...data);
+            total = response.pagination ? response.pagination.total : orders.length;
+            if (data.length === 0 || orders.length >= total || !response.pagination || page >= response.pagination.pages) break;
+        }
+        return { orders, total };
+    }
+
+    clearSelection(list) {
+        this.selection[list].clear();
+        this.refreshSelectionRows(list);
+    }
+
+    refreshSelectionRows(list) {
+        document.querySelectorAll(`.row-select[data-list="${list}"]`).forEach(box => {
+            box.checked = this.selection[list].has(box.dataset.id);
+        });
+        this.displaySelection(list);
+    }
+
+    // Runs `task` over each record one after another, counting progress in
+    // the loading modal. Failures are collected rather than stopping the batch.
+    async runBatch(label, records, task) {
+        const failures = [];
+        for (const [index, record] of records.entries()) {
+            this.showLoading(`${label} ${index + 1} of ${records.length}...`);
+            try {
+                await task(record);
+            } catch (error) {
+                console.error(`${label} ${index + 1} failed:`, error);
+                // Tasks throw plain Errors for checks made before any request
+                const message = error instanceof ApiError ? this.describeError(error, 'Request failed') : error.message;
+                failures.push({ record, message });
+            }
+        }
+        this.hideLoading();
+        return failures;
+    }
+
+    // Successful records drop out of the selection so a retry only covers
+    // what failed, which is also what the report lists
+    reportBatch(list, action, total, failures, describe) {
+        this.selection[list] = new Map(failures.map(({ record }) => [record._id, record]));
+
+        const report = document.getElementById(`${list}-bulk-report`);
+        if (report) {
+            setHTML(report, failures.length === 0 ? '' : html`
+                <div class="bulk-report">
+                    <div class="bulk-report-header">
+                        <strong>${action}: ${failures.length} of ${total} failed</strong>
+                        <button class="btn btn--secondary btn--sm" data-action="dismiss-bulk-report" data-list="${list}">Dismiss</button>
+                    </div>
+                    <ul>
+                        ${failures.map(({ record, message }) => html`<li><strong>${describe(record)}</strong>: ${message}</li>`)}
+                    </ul>
+                </div>
+            `);
+        }
+
+        if (failures.length === 0) {
+            this.showSuccess(`${action}: all ${total} succeeded`);
+        } else {
+            this.showError(`${action}: ${total - failures.length} of ${total} succeeded. The failed ones are still selected.`);
+        }
+    }
+
+    dismissBulkReport(list) {
+        const report = document.getElementById(`${list}-bulk-report`);
+        if (report) setHTML(report, '');
+    }
+
+    static describeBatchRecord(list) {
+        return list === 'products'
+            ? (product) => product.name
+            : (order) => `Order #${order._id.substring(0, 8)} (${order.customerName})`;
+    }
+
+    async bulkUpdateOrderStatus() {
+        if (!this.requirePermission('admin:manage')) return;
+        const newStatus = document.getElementById('bulk-order-status').value;
+        const orders = [...this.selection.orders.values()];
+        if (orders.length === 0) return;
+
+        const failures = await this.runBatch('Updating order', orders, async (order) => {
+            const from = order.status || 'pending';
+            if (from === newStatus) return;
+            if (!ORDER_WORKFLOW.canTransition(from, newStatus)) {
+                throw new Error(`An order that is ${from} cannot be moved to ${newStatus}`);
+            }
+            await api.updateOrder(order._id, SimpleShop.statusChanges(order, newStatus));
+        });
+        this.reportBatch('orders', `Mark ${newStatus}`, orders.length, failures, SimpleShop.describeBatchRecord('orders'));
+        await this.loadOrders();
+        await this.reloadProducts();
+    }
+
+    async bulkDelete(list) {
+        if (!this.requirePermission('admin:manage')) return;
+        const records = [...this.selection[list].values()];
+        if (records.length === 0) return;
+        if (!confirm(`Are you sure you want to delete ${records.length} selected ${list}?`)) return;
+
+        const remove = list === 'products'
+            ? (product) => api.deleteProduct(product._id)
+            : (order) => api.deleteOrder(order._id);
+        const failures = await this.runBatch(`Deleting ${list === 'products' ? 'product' : 'order'}`, records, remove);
+        this.reportBatch(list, 'Delete', records.length, failures, SimpleShop.describeBatchRecord(list));
+
+        if (list === 'orders') {
+            await this.loadOrders();
+            await this.reloadProducts();
+            this.loadDashboardStats();
+            return;
+        }
+
+        // Deleted products can't stay in the cart
+        const failed = new Set(failures.map(({ record }) => record._id));
+        const deleted = new Set(records.filter(record => !failed.has(record._id)).map(record => record._id));
+        this.products = this.products.filter(p => !deleted.has(p._id));
+        this.cart = this.cart.filter(item => !deleted.has(item.id));
+        localStorage.setItem('cart', JSON.stringify(this.cart));
+        this.applyAdminProductFilters();
+        this.displayProducts();
+        this.updateCartDisplay();
+    }
+
+    // `mode` is set (replace), add (a signed amount) or percent (relative)
+    static adjustedValue(field, current, mode, amount) {
+        const next = mode === 'set' ? amount
+            : mode === 'add' ? current + amount
+                : current * (1 + amount / 100);
+        return field === 'price' ? PricingEngine.round(next) : Math.round(next);
+    }
+
+    async bulkAdjustProducts() {
+        if (!this.requirePermission('admin:manage')) return;
+        const field = document.getElementById('bulk-product-field').value;
+        const mode = document.getElementById('bulk-product-mode').value;
+        const amount = parseFloat(document.getElementById('bulk-product-amount').value);
+        const products = [...this.selection.products.values()];
+        if (products.length === 0) return;
+        if (!Number.isFinite(amount)) {
+            this.showError('Enter an amount to adjust by');
+            return;
+        }
+
+        const before = [...this.products];
+        const failures = await this.runBatch('Updating product', products, async (product) => {
+            const value = SimpleShop.adjustedValue(field, Number(product[field]) || 0, mode, amount);
+            if (field === 'price' && value <= 0) {
+                throw new Error(`Price would become ${pricing.format(value)}`);
+            }
+            if (field === 'stock' && value < 0) {
+                throw new Error(`Stock would become ${value}`);
+            }
+            if (field === 'stock' && VARIANTS.has(product)) {
+                throw new Error('Stock is kept per variant; edit the product instead');
+            }
+            const response = await api.updateProduct(product._id, { [field]: value });
+            const index = this.products.findIndex(p => p._id === product._id);
+            if (index !== -1) this.products[index] = { ...this.products[index], ...(response.data || { [field]: value }) };
+        });
+
+        this.reportBatch('products', `Adjust ${field}`, products.length, failures, SimpleShop.describeBatchRecord('products'));
+        this.applyAdminProductFilters();
+        this.displayProducts();
+        this.notifyLowStock(before);
+    }
+
+    // Export and import. Exports cover everything the list's current search
+    // and filters match, not only the visible page.
+    static get exportColumns() {
+        const price = (order, key) => (order.pricing ? order.pricing[key] : '');
+        return {
+            products: [
+                { label: 'id', value: product => product._id },
+                { label: 'sku', value: product => product.sku || '' },
+                { label: 'name', value: product => product.name },
+                { label: 'price', value: product => product.price },
+                { label: 'stock', value: product => product.stock },
+                { label: 'weight', value: product => product.weight ?? '' },
+                { label: 'category', value: product => product.category },
+                { label: 'description', value: product => product.description || '' },
+                { label: 'image', value: product => product.image || '' }
+            ],
+            orders: [
+                { label: 'id', value: order => order._id },
+                { label: 'createdAt', value: order => order.createdAt },
+                { label: 'status', value: order => order.status || 'pending' },
+                { label: 'customerName', value: order => order.customerName },
+                { label: 'customerEmail', value: order => order.customerEmail },
+                { label: 'customerPhone', value: order => order.customerPhone || '' },
+                { label: 'street', value: order => order.address?.street || '' },
+                { label: 'city', value: order => order.address?.city || '' },
+                { label: 'state', value: order => order.address?.state || '' },
+                { label: 'zipCode', value: order => order.address?.zipCode || '' },
+                { label: 'country', value: order => order.address?.country || '' },
+                { label: 'items', value: order => (order.items || []).map(item => `${item.name} x${item.quantity}`).join('; ') },
+                { label: 'subtotal', value: order => price(order, 'subtotal') },
+                { label: 'shipping', value: order => price(order, 'shipping') },
+                { label: 'discount', value: order => (order.pricing && order.pricing.discount ? order.pricing.discount.amount : '') },
+                { label: 'tax', value: order => price(order, 'tax') },
+                { label: 'total', value: order => order.totalAmount },
+                { label: 'paymentMethod', value: order => order.payment?.method || '' },
+                { label: 'paymentStatus', value: order => order.payment?.status || '' }
+            ]
+        };
+    }
+
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async exportList(list, format) {
+        this.showLoading(`Exporting ${list}...`);
         try {
-            const response = await api.getOrders();
-            const orders = response.data || [];
-            const recentOrders = orders.slice(0, 5);
+            const { orders: records, total } = list === 'products'
+                ? { orders: this.productMatches, total: this.productMatches.length }
+                : await this.fetchMatchingOrders();
+            const content = format === 'json'
+                ? JSON.stringify(records, null, 2)
+                : CSV.stringify(records, SimpleShop.exportColumns[list]);
+            const stamp = new Date().toISOString().slice(0, 10);
+            SimpleShop.download(`${list}-${stamp}.${format}`, content, format === 'json' ? 'application/json' : 'text/csv');
+            if (records.length < total) {
+                this.showError(`Exported ${records.length} of the ${total} matching ${list}; the rest could not be loaded`);
+            } else {
+                this.showSuccess(`Exported ${records.length} ${list}`);
+            }
+        } catch (error) {
+            console.error(`Error exporting ${list}:`, error);
+            this.showError(this.describeError(error, `Failed to export ${list}`));
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            const container = document.getElementById('recent-orders');
-            if (!container) return;
+    // Fields a CSV column can be mapped to, with the header names each is
+    // recognised by when guessing the mapping
+    static get importFields() {
+        return {
+            id: ['id', '_id', 'productid'],
+            sku: ['sku', 'code'],
+            name: ['name', 'title', 'productname'],
+            price: ['price', 'unitprice'],
+            stock: ['stock', 'quantity', 'qty', 'inventory'],
+            weight: ['weight', 'weightkg'],
+            description: ['description', 'details'],
+            category: ['category'],
+            image: ['image', 'imageurl', 'photo']
+        };
+    }
 
-            if (recentOrders.length === 0) {
-                container.innerHTML = '<p>No recent orders</p>';
-                return;
+    static guessImportMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9_]/g, ''));
+        return Object.fromEntries(Object.entries(SimpleShop.importFields)
+            .map(([field, names]) => [field, normalized.findIndex(header => names.includes(header))]));
+    }
+
+    // Turns one CSV row into a create or update. Existing products are found
+    // by id, then SKU; a blank cell leaves the existing value alone.
+    static planImportRow(cells, line, mapping, products) {
+        const read = (field) => (mapping[field] >= 0 ? String(cells[mapping[field]] ?? '').trim() : '');
+        const raw = Object.fromEntries(Object.keys(SimpleShop.importFields).map(field => [field, read(field)]));
+        const existing = (raw.id && products.find(p => p._id === raw.id)) ||
+            (raw.sku && products.find(p => p.sku === raw.sku)) || null;
+        const input = Object.fromEntries(Object.entries(raw).filter(([field, value]) => field !== 'id' && value !== ''));
+        if (!existing && input.stock === undefined) input.stock = 0;
+        const { data, errors: invalid } = PRODUCT_SCHEMA.validate(input, {
+            products,
+            id: existing ? existing._id : null,
+            partial: Boolean(existing)
+        });
+        const errors = [
+            ...(raw.id && !existing ? [`No product has id ${raw.id}`] : []),
+            ...Object.entries(invalid).map(([field, message]) => (raw[field] ? `${message} (got "${raw[field]}")` : message))
+        ];
+
+        const changes = existing
+            ? Object.keys(data).filter(field => existing[field] !== data[field])
+                .map(field => ({ field, from: existing[field], to: data[field] }))
+            : [];
+        const action = errors.length > 0 ? 'error' : !existing ? 'create' : changes.length > 0 ? 'update' : 'unchanged';
+        return { line, action, existing, data, changes, errors, name: data.name || (existing && existing.name) || '(unnamed)' };
+    }
+
+    openImportWizard() {
+        if (!this.requirePermission('admin:manage')) return;
+        this.importState = null;
+        document.getElementById('import-file-form').reset();
+        this.showImportStep('file');
+        document.getElementById('import-modal').classList.remove('hidden');
+    }
+
+    showImportStep(step) {
+        document.querySelectorAll('#import-modal .import-step').forEach(section => {
+            section.classList.toggle('hidden', section.dataset.step !== step);
+        });
+        document.querySelectorAll('#import-steps li').forEach(item => {
+            item.classList.toggle('active', item.dataset.step === step);
+        });
+    }
+
+    async readImportFile() {
+        const file = document.getElementById('import-file').files[0];
+        const text = file ? await file.text() : document.getElementById('import-text').value;
+        const [headers, ...rows] = CSV.parse(text || '');
+        if (!headers || rows.length === 0) {
+            this.showError('The CSV needs a header row and at least one product row');
+            return;
+        }
+
+        this.importState = { headers: headers.map(header => header.trim()), rows, mapping: SimpleShop.guessImportMapping(headers) };
+        this.displayImportMapping();
+        this.showImportStep('map');
+    }
+
+    displayImportMapping() {
+        const { headers, rows, mapping } = this.importState;
+        setHTML(document.getElementById('import-mapping'), html`
+            <p>${rows.length} row(s) found. Choose which column fills each product field.</p>
+            <div class="import-mapping">
+                ${Object.keys(SimpleShop.importFields).map(field => html`
+                    <div class="form-group">
+                        <label class="form-label" for="import-map-${field}">${field}</label>
+                        <select id="import-map-${field}" class="form-control" data-field="${field}">
+                            <option value="-1">Not imported</option>
+                            ${headers.map((header, index) => html`
+                                <option value="${index}" ${mapping[field] === index ? html`selected` : ''}>${header}</option>
+                            `)}
+                        </select>
+                    </div>
+                `)}
+            </div>
+            <p class="text-muted">Rows are matched to existing products by id, then SKU. Blank cells leave an existing product's value unchanged.</p>
+        `);
+    }
+
+    previewImport() {
+        const state = this.importState;
+        if (!state) return;
+        document.querySelectorAll('#import-mapping select').forEach(select => {
+            state.mapping[select.dataset.field] = Number(select.value);
+        });
+        if (state.mapping.name < 0 && state.mapping.id < 0 && state.mapping.sku < 0) {
+            this.showError('Map a name, id or SKU column so rows can be created or matched');
+            return;
+        }
+
+        // A product may only be touched by one row
+        const seen = new Map();
+        state.plan = state.rows.map((cells, index) => {
+            const entry = SimpleShop.planImportRow(cells, index + 2, state.mapping, this.products);
+            const key = entry.existing ? entry.existing._id : entry.data.sku ? `sku:${entry.data.sku}` : null;
+            if (key && seen.has(key)) {
+                entry.errors.push(`Same product as row ${seen.get(key)}`);
+                entry.action = 'error';
+            } else if (key) {
+                seen.set(key, entry.line);
             }
+            return entry;
+        });
 
-            let html = '';
-            recentOrders.forEach(order => {
-                const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
-                html += `
-                    <div class="recent-order-item">
-                        <div class="order-info">
-                            <strong>Order #${order._id.substring(0, 8)}</strong>
-                            <span>${order.customerName}</span>
-                            <span>${orderDate}</span>
-                        </div>
-                        <div class="order-amount">$${order.totalAmount.toFixed(2)}</div>
+        this.displayImportPreview();
+        this.showImportStep('preview');
+    }
+
+    displayImportPreview() {
+        const plan = this.importState.plan;
+        const count = (action) => plan.filter(entry => entry.action === action).length;
+        const applicable = count('create') + count('update');
+
+        setHTML(document.getElementById('import-preview'), html`
+            <p>
+                <strong>${count('create')}</strong> to create,
+                <strong>${count('update')}</strong> to update,
+                ${count('unchanged')} unchanged,
+                <span class="${count('error') > 0 ? 'text-error' : ''}">${count('error')} with errors</span>.
+                ${count('error') > 0 ? 'Rows with errors are skipped.' : ''}
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead><tr><th>Row</th><th>Action</th><th>Product</th><th>Details</th></tr></thead>
+                    <tbody>
+                        ${plan.map(entry => html`
+                            <tr class="import-${entry.action}">
+                                <td>${entry.line}</td>
+                                <td><span class="import-action">${entry.action}</span></td>
+                                <td>${entry.name}</td>
+                                <td>${this.describeImportEntry(entry)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `);
+        document.getElementById('import-apply-btn').disabled = applicable === 0;
+    }
+
+    describeImportEntry(entry) {
+        const show = (field, value) => (field === 'price' ? pricing.format(value) : value === undefined || value === '' ? '(empty)' : value);
+        if (entry.action === 'error') {
+            return html`<ul>${entry.errors.map(error => html`<li>${error}</li>`)}</ul>`;
+        }
+        if (entry.action === 'create') {
+            return `${show('price', entry.data.price)} · ${entry.data.stock} in stock · ${entry.data.category}`;
+        }
+        if (entry.action === 'update') {
+            return html`<ul>${entry.changes.map(change => html`
+                <li>${change.field}: ${show(change.field, change.from)} &rarr; ${show(change.field, change.to)}</li>
+            `)}</ul>`;
+        }
+        return 'Matches the existing product';
+    }
+
+    async applyImport() {
+        if (!this.requirePermission('admin:manage')) return;
+        const plan = this.importState ? this.importState.plan : [];
+        const entries = plan.filter(entry => entry.action === 'create' || entry.action === 'update');
+        if (entries.length === 0) return;
+
+        const results = new Map();
+        const failures = await this.runBatch('Importing row', entries, async (entry) => {
+            if (entry.action === 'create') {
+                const response = await api.createProduct(entry.data);
+                results.set(entry.line, `Created ${response.data ? response.data._id : ''}`.trim());
+            } else {
+                await api.updateProduct(entry.existing._id, entry.data);
+                results.set(entry.line, `Updated ${entry.changes.map(change => change.field).join(', ')}`);
+            }
+        });
+        failures.forEach(({ record, message }) => results.set(record.line, message));
+        const failed = new Set(failures.map(({ record }) => record.line));
+
+        setHTML(document.getElementById('import-report'), html`
+            <p>
+                ${entries.length - failures.length} of ${entries.length} row(s) applied.
+                ${failures.length > 0 ? html`<span class="text-error">${failures.length} failed.</span>` : ''}
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead><tr><th>Row</th><th>Result</th><th>Product</th><th>Details</th></tr></thead>
+                    <tbody>
+                        ${plan.map(entry => {
+                            const outcome = failed.has(entry.line) ? 'failed'
+                                : results.has(entry.line) ? (entry.action === 'create' ? 'created' : 'updated')
+                                    : entry.action === 'error' ? 'skipped' : 'unchanged';
+                            const details = results.get(entry.line) || (entry.action === 'error' ? entry.errors.join('; ') : '');
+                            return html`
+                                <tr class="import-${outcome}">
+                                    <td>${entry.line}</td>
+                                    <td><span class="import-action">${outcome}</span></td>
+                                    <td>${entry.name}</td>
+                                    <td>${details}</td>
+                                </tr>
+                            `;
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        `);
+        this.showImportStep('report');
+
+        try {
+            await this.reloadProducts();
+        } catch (error) {
+            console.error('Error reloading products after import:', error);
+        }
+        this.applyAdminProductFilters();
+        this.displayProducts();
+    }
+
+    async viewOrderDetails(orderId) {
+        try {
+            const response = await api.getOrder(orderId);
+            const order = response.data;
+
+            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
+            const itemsHtml = (order.items || []).map(item => html`
+                <div class="order-item">
+                    <span>${item.name}</span>
+                    <span>Qty: ${item.quantity}</span>
+                    <span>${pricing.format(item.price * item.quantity)}</span>
+                </div>
+            `);
+
+            const detailsHtml = html`
+                <div class="order-details-full">
+                    <div class="order-header-full">
+                        <h4>Order #${order._id}</h4>
                         <div class="order-status status-${order.status || 'pending'}">${order.status || 'pending'}</div>
                     </div>
-                `;
-            });
-            container.innerHTML = html;
+                    
+                    <div class="customer-details">
+                        <h5>Customer Information</h5>
+                        <p><strong>Name:</strong> ${order.customerName}</p>
+                        <p><strong>Email:</strong> ${order.customerEmail}</p>
+                        <p><strong>Phone:</strong> ${order.customerPhone || 'N/A'}</p>
+                    </div>
+                    
+                    <div class="shipping-address">
+                        <h5>Shipping Address</h5>
+                        <p>${order.address?.street || 'N/A'}</p>
+                        <p>${order.address?.city || 'N/A'}, ${order.address?.state || 'N/A'} ${order.address?.zipCode || 'N/A'}</p>
+                        <p>${(CHECKOUT_SCHEMA.country(order.address?.country) || {}).name || order.address?.country || 'N/A'}</p>
+                    </div>
+                    
+                    <div class="order-items-full">
+                        <h5>Items Ordered</h5>
+                        ${itemsHtml}
+                    </div>
+                    
+                    ${this.renderShipments(order, { manage: auth.can('admin:manage') })}
+
+                    ${this.renderPayment(order, { manage: auth.can('admin:manage') })}
+
+                    <div class="order-total-full">
+                        ${this.renderPricingBreakdown(order)}
+                        <p>Order Date: ${orderDate}</p>
+                    </div>
+
+                    <div class="status-history">
+                        <h5>Status History</h5>
+                        ${this.renderStatusTimeline(order)}
+                    </div>
+                </div>
+            `;
+
+            setHTML(document.getElementById('order-details-content'), detailsHtml);
+            document.getElementById('order-details-modal').classList.remove('hidden');
+            this.router.sync(`/order/${encodeURIComponent(order._id)}`);
 
         } catch (error) {
-            console.error('Error loading recent orders:', error);
+            console.error('Error loading order details:', error);
+            this.showError(this.describeError(error, 'Failed to load order details'));
+        }
+    }
+
+    renderPayment(order, { manage = false } = {}) {
+        const payment = order.payment;
+        if (!payment) return '';
+
+        return html`
+            <div class="payment-details">
+                <h5>Payment</h5>
+                <p>
+                    ${PAYMENTS.describe(payment)}
+                    <span class="order-status status-${payment.status}">${payment.status}</span>
+                </p>
+                ${payment.method === 'bank-transfer' && payment.status === 'pending' ? html`
+                    <p class="text-muted">Awaiting a bank transfer with reference ${order._id}.</p>
+                ` : ''}
+                ${payment.status === 'failed' && payment.message ? html`<p class="text-muted">${payment.message}</p>` : ''}
+                ${manage && payment.transactionId ? html`<p><strong>Transaction:</strong> ${payment.transactionId}</p>` : ''}
+                ${payment.refundedAt ? html`<p>Refunded on ${new Date(payment.refundedAt).toLocaleDateString()}</p>` : ''}
+                ${manage && payment.status === 'paid' ? html`
+                    <button class="btn btn--secondary btn--sm" data-action="refund-order" data-id="${order._id}">Refund ${pricing.format(payment.amount ?? order.totalAmount)}</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async refundOrder(orderId) {
+        if (!this.requirePermission('admin:manage')) return;
+        if (!confirm('Refund this order\'s payment in full? This cannot be undone.')) return;
+
+        this.showLoading('Refunding payment...');
+        try {
+            await api.refundOrder(orderId);
+            await this.loadOrders();
+            this.showSuccess('Payment refunded');
+        } catch (error) {
+            console.error('Error refunding order:', error);
+            this.showError(this.describeError(error, 'Failed to refund this payment'));
+            return;
+        } finally {
+            this.hideLoading();
         }
+        await this.viewOrderDetails(orderId);
+    }
+
+    renderStatusTimeline(order) {
+        return html`
+            <ol class="status-timeline">
+                ${ORDER_WORKFLOW.history(order).map(entry => html`
+                    <li class="timeline-entry">
+                        <span class="order-status status-${entry.status}">${entry.status}</span>
+                        <span class="timeline-meta">
+                            ${entry.at ? new Date(entry.at).toLocaleString() : 'Date not recorded'}
+                            ${entry.by ? html` &middot; ${entry.by}` : ''}
+                        </span>
+                    </li>
+                `)}
+            </ol>
+        `;
     }
 
-    async loadProducts(category = 'all') {
+    // Categories come from the /categories endpoint. Backends without one
+    // (a 404) fall back to the categories found in the product catalog; there
+    // `this.categories` only holds names added here that no product uses yet.
+    // Any other failure keeps the categories already loaded.
+    async loadCategories(options = {}) {
         try {
-            const response = await api.getProducts();
-            this.products = category === 'all' ? response.data : response.data.filter(p => p.category === category);
-            this.displayProducts();
-            
-            // Validate cart after loading products
-            await this.validateAndLoadCart();
-            this.updateCartDisplay();
+            const response = await api.getCategories(options);
+            this.categories = response.data || [];
+            this.categoriesDerived = false;
         } catch (error) {
-            this.showError('Failed to load products. Please try again.');
-            console.error(error);
+            if (error.isAborted) return;
+            if (error.status === 404) {
+                if (!this.categoriesDerived) this.categories = [];
+                this.categoriesDerived = true;
+            } else {
+                console.error('Error loading categories:', error);
+                this.showError(this.describeError(error, 'Failed to load categories'));
+            }
         }
+        this.populateCategorySelects();
+        if (this.currentPage === 'admin' && this.currentTab === 'categories') this.displayCategories();
     }
 
-    displayProducts() {
-        const grid = document.getElementById('products-grid');
-        if (!grid) return;
-
-        grid.innerHTML = '';
+    // Known categories plus any a product uses that the list doesn't have yet
+    get categoryNames() {
+        const names = this.categories.map(c => c.name);
         this.products.forEach(product => {
-            const card = this.createProductCard(product);
-            grid.appendChild(card);
+            if (product.category && !names.includes(product.category)) names.push(product.category);
         });
+        return names.sort((a, b) => a.localeCompare(b));
     }
 
-    filterProducts(category) {
-        this.loadProducts(category);
+    countProductsIn(category) {
+        return this.products.filter(p => p.category === category).length;
     }
 
-    createProductCard(product) {
-        const card = document.createElement('div');
-        card.className = 'product-card fade-in';
-        card.innerHTML = `
-            <img src="${product.image}" alt="${product.name}" class="product-image">
-            <div class="product-info">
-                <h3 class="product-name">${product.name}</h3>
-                <div class="product-price">$${product.price.toFixed(2)}</div>
-                <p class="product-description">${product.description}</p>
-                <div class="product-meta">
-                    <span class="product-category">${product.category}</span>
-                    <span class="product-stock">Stock: ${product.stock}</span>
-                </div>
-                <button class="btn btn--primary btn--full-width" onclick="window.shop.addToCart('${product._id}')">
-                    Add to Cart
-                </button>
-            </div>
-        `;
-        return card;
+    // Category rows are keyed by id, or by name when the categories are derived
+    findCategory(key) {
+        if (this.categoriesDerived) return this.categoryNames.includes(key) ? { name: key } : null;
+        return this.categories.find(c => c._id === key) || null;
     }
 
-    async loadAdminProducts() {
-        const container = document.getElementById('admin-products');
+    // Without a categories endpoint a category is only the name its products
+    // are filed under, so renaming or merging one rewrites each product
+    async refileProducts(from, to) {
+        this.categories = this.categories.filter(c => c.name !== from);
+        for (const product of this.products.filter(p => p.category === from)) {
+            await api.updateProduct(product._id, { category: to });
+        }
+    }
+
+    // Rebuilds every category <select>, keeping each one's current choice
+    populateCategorySelects() {
+        const names = this.categoryNames;
+        const options = (selectedValue) => html`${names.map(name => html`
+            <option value="${name}" ${name === selectedValue ? html`selected` : ''}>${name}</option>
+        `)}`;
+        const fill = (id, leading, value, render = options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = value === undefined ? select.value : value;
+            setHTML(select, html`${leading}${render(current)}`);
+            select.value = current;
+        };
+
+        const storefront = this.storefrontFilters.category;
+        fill('category-filter', html`<option value="all">All Categories (${this.products.length})</option>`, storefront,
+            (selectedValue) => html`${names.map(name => html`
+                <option value="${name}" ${name === selectedValue ? html`selected` : ''}>${name} (${this.countProductsIn(name)})</option>
+            `)}`);
+        fill('category-filter-admin', html`<option value="all">All Categories</option>`, this.productFilters.category);
+        fill('product-category', html`<option value="">Select Category</option>`);
+        fill('edit-product-category', '');
+        fill('discount-category', html`<option value="">All Categories</option>`);
+    }
+
+    displayCategories() {
+        const container = document.getElementById('admin-categories');
         if (!container) return;
 
-        if (this.products.length === 0) {
-            container.innerHTML = '<p>No products available. Add some products first.</p>';
+        const notice = document.getElementById('categories-derived-notice');
+        if (notice) notice.classList.toggle('hidden', !this.categoriesDerived);
+        const form = document.getElementById('category-form');
+        if (form) form.classList.toggle('hidden', !auth.can('admin:manage'));
+
+        const names = this.categoryNames;
+        if (names.length === 0) {
+            setHTML(container, html`<p>No categories yet.</p>`);
             return;
         }
 
-        let html = '';
-        this.products.forEach(product => {
-            const stockStatus = product.stock < 5 ? 'low-stock' : product.stock < 10 ? 'medium-stock' : 'good-stock';
-            html += `
-                <div class="admin-product-item fade-in">
-                    <img src="${product.image}" alt="${product.name}" class="admin-product-image">
+        const canManage = auth.can('admin:manage');
+        setHTML(container, html`${names.map(name => {
+            const category = this.categoriesDerived ? { _id: name, name } : this.categories.find(c => c.name === name);
+            const count = this.countProductsIn(name);
+            return html`
+                <div class="admin-product-item category-item fade-in">
                     <div class="admin-product-info">
-                        <h4>${product.name}</h4>
-                        <div class="admin-product-price">$${product.price.toFixed(2)}</div>
-                        <div class="admin-product-meta">
-                            Category: ${product.category} | 
-                            <span class="stock-status ${stockStatus}">Stock: ${product.stock}</span>
-                        </div>
+                        <h4>${name}</h4>
+                        <p>${count} product${count === 1 ? '' : 's'}</p>
                     </div>
                     <div class="admin-product-actions">
-                        <button class="btn btn--secondary btn--sm" onclick="window.shop.editProduct('${product._id}')">Edit</button>
-                        <button class="delete-btn btn--sm" onclick="window.shop.deleteProduct('${product._id}')">Delete</button>
+                        ${canManage && category && !this.categoriesDerived ? html`
+                            <label class="category-threshold">
+                                Reorder below
+                                <input type="number" class="form-control" min="0" step="1" data-action="category-threshold" data-id="${category._id}"
+                                    value="${category.reorderThreshold ?? ''}" placeholder="${INVENTORY.defaultThreshold}">
+                            </label>`
+                        : html`<span class="text-muted">Reorder below ${INVENTORY.threshold({ category: name }, this.categories)}</span>`}
+                        ${canManage && category ? html`
+                            <select class="form-control category-target" data-id="${category._id}" aria-label="Move products to">
+                                <option value="">Move products to...</option>
+                                ${names.filter(other => other !== name).map(other => html`<option value="${other}">${other}</option>`)}
+                            </select>
+                            <button class="btn btn--secondary btn--sm" data-action="rename-category" data-id="${category._id}">Rename</button>
+                            <button class="btn btn--secondary btn--sm" data-action="merge-category" data-id="${category._id}">Merge</button>
+                            <button class="delete-btn btn--sm" data-action="delete-category" data-id="${category._id}">Delete</button>
+                        ` : ''}
                     </div>
                 </div>
             `;
-        });
-        container.innerHTML = html;
+        })}`);
     }
 
-    searchProducts(query) {
-        const filteredProducts = this.products.filter(product => 
-            product.name.toLowerCase().includes(query.toLowerCase()) ||
-            product.description.toLowerCase().includes(query.toLowerCase()) ||
-            product.category.toLowerCase().includes(query.toLowerCase())
-        );
-        this.displayFilteredProducts(filteredProducts);
-    }
+    async createCategory(form) {
+        if (!this.requirePermission('admin:manage')) return;
+        const name = new FormData(form).get('name').trim();
+        if (!name) return;
 
-    filterAdminProducts(category) {
-        const filteredProducts = category === 'all' 
-            ? this.products 
-            : this.products.filter(product => product.category === category);
-        this.displayFilteredProducts(filteredProducts);
+        if (this.categoriesDerived) {
+            if (this.categoryNames.includes(name)) {
+                this.showError(`Category ${name} already exists`);
+                return;
+            }
+            this.categories.push({ name });
+            form.reset();
+            this.populateCategorySelects();
+            this.displayCategories();
+            this.showSuccess(`Category ${name} added; it is saved once a product is filed under it`);
+            return;
+        }
+
+        this.showLoading('Creating category...');
+        try {
+            await api.createCategory({ name });
+            form.reset();
+            this.showSuccess(`Category ${name} created`);
+            await this.loadCategories();
+        } catch (error) {
+            console.error('Error creating category:', error);
+            this.showError(this.describeError(error, 'Failed to create category'));
+        } finally {
+            this.hideLoading();
+        }
     }
 
-    displayFilteredProducts(products) {
-        const container = document.getElementById('admin-products');
-        if (!container) return;
+    async renameCategory(categoryId) {
+        if (!this.requirePermission('admin:manage')) return;
+        const category = this.findCategory(categoryId);
+        if (!category) return;
 
-        if (products.length === 0) {
-            container.innerHTML = '<p>No products found matching your criteria.</p>';
+        const name = (prompt(`Rename ${category.name} to:`, category.name) || '').trim();
+        if (!name || name === category.name) return;
+        if (this.categoriesDerived && this.categoryNames.includes(name)) {
+            this.showError(`Category ${name} already exists; merge into it instead`);
             return;
         }
 
-        let html = '';
-        products.forEach(product => {
-            const stockStatus = product.stock < 5 ? 'low-stock' : product.stock < 10 ? 'medium-stock' : 'good-stock';
-            html += `
-                <div class="admin-product-item fade-in">
-                    <img src="${product.image}" alt="${product.name}" class="admin-product-image">
-                    <div class="admin-product-info">
-                        <h4>${product.name}</h4>
-                        <div class="admin-product-price">$${product.price.toFixed(2)}</div>
-                        <div class="admin-product-meta">
-                            Category: ${product.category} | 
-                            <span class="stock-status ${stockStatus}">Stock: ${product.stock}</span>
-                        </div>
-                    </div>
-                    <div class="admin-product-actions">
-                        <button class="btn btn--secondary btn--sm" onclick="window.shop.editProduct('${product._id}')">Edit</button>
-                        <button class="delete-btn btn--sm" onclick="window.shop.deleteProduct('${product._id}')">Delete</button>
-                    </div>
-                </div>
-            `;
-        });
-        container.innerHTML = html;
+        this.showLoading('Renaming category...');
+        try {
+            if (this.categoriesDerived) {
+                await this.refileProducts(category.name, name);
+            } else {
+                await api.updateCategory(categoryId, { name });
+            }
+            if (this.storefrontFilters.category === category.name) this.storefrontFilters.category = name;
+            if (this.productFilters.category === category.name) this.productFilters.category = name;
+            await this.reloadAfterCategoryChange();
+            this.showSuccess(`${category.name} renamed to ${name}`);
+        } catch (error) {
+            console.error('Error renaming category:', error);
+            this.showError(this.describeError(error, 'Failed to rename category'));
+            // Some products may already have moved
+            if (this.categoriesDerived) await this.reloadAfterCategoryChange().catch(reloadError => console.error('Error reloading products:', reloadError));
+        } finally {
+            this.hideLoading();
+        }
     }
 
-    editProduct(productId) {
-        const product = this.products.find(p => p._id === productId);
-        if (!product) return;
-
-        document.getElementById('edit-product-id').value = product._id;
-        document.getElementById('edit-product-name').value = product.name;
-        document.getElementById('edit-product-price').value = product.price;
-        document.getElementById('edit-product-stock').value = product.stock;
-        document.getElementById('edit-product-description').value = product.description;
-        document.getElementById('edit-product-category').value = product.category;
-        document.getElementById('edit-product-image').value = product.image;
+    // An empty threshold falls back to the store default
+    async updateCategoryThreshold(categoryId, value) {
+        if (!this.requirePermission('admin:manage')) return;
+        const category = this.categories.find(c => c._id === categoryId);
+        if (!category) return;
 
-        document.getElementById('edit-product-modal').classList.remove('hidden');
+        const reorderThreshold = SimpleShop.parseThreshold(value);
+        this.showLoading('Saving reorder threshold...');
+        try {
+            await api.updateCategory(categoryId, { reorderThreshold });
+            await this.loadCategories({ force: true });
+            this.applyAdminProductFilters();
+            this.showSuccess(reorderThreshold === null
+                ? `${category.name} uses the default reorder threshold of ${INVENTORY.defaultThreshold}`
+                : `${category.name} products now reorder below ${reorderThreshold}`);
+        } catch (error) {
+            console.error('Error saving reorder threshold:', error);
+            this.showError(this.describeError(error, 'Failed to save the reorder threshold'));
+            this.displayCategories();
+        } finally {
+            this.hideLoading();
+        }
     }
 
-    async updateProduct() {
-        const productId = document.getElementById('edit-product-id').value;
-        const productData = {
-            name: document.getElementById('edit-product-name').value,
-            price: parseFloat(document.getElementById('edit-product-price').value),
-            stock: parseInt(document.getElementById('edit-product-stock').value),
-            description: document.getElementById('edit-product-description').value,
-            category: document.getElementById('edit-product-category').value,
-            image: document.getElementById('edit-product-image').value
-        };
+    // Deleting a category that still has products moves them to the category
+    // picked in its row; `merge` makes picking one mandatory.
+    async deleteCategory(categoryId, { merge = false } = {}) {
+        if (!this.requirePermission('admin:manage')) return;
+        const category = this.findCategory(categoryId);
+        if (!category) return;
+
+        const count = this.countProductsIn(category.name);
+        const targetSelect = [...document.querySelectorAll('.category-target')].find(select => select.dataset.id === categoryId);
+        const target = targetSelect ? targetSelect.value : '';
+
+        if ((merge || count > 0) && !target) {
+            this.showError(merge
+                ? `Choose the category to merge ${category.name} into`
+                : `Choose a category to move the ${count} product${count === 1 ? '' : 's'} in ${category.name} to`);
+            return;
+        }
 
-        this.showLoading('Updating product...');
+        const message = target
+            ? `Move ${count} product${count === 1 ? '' : 's'} from ${category.name} to ${target} and delete ${category.name}?`
+            : `Delete the empty category ${category.name}?`;
+        if (!confirm(message)) return;
+
+        this.showLoading(merge ? 'Merging categories...' : 'Deleting category...');
         try {
-            await api.updateProduct(productId, productData);
-            
-            const productIndex = this.products.findIndex(p => p._id === productId);
-            if (productIndex !== -1) {
-                this.products[productIndex] = { ...this.products[productIndex], ...productData };
+            if (this.categoriesDerived) {
+                await this.refileProducts(category.name, target);
+            } else {
+                await api.deleteCategory(categoryId, target);
             }
-            
-            this.loadAdminProducts();
-            this.displayProducts();
-            this.closeModal('edit-product-modal');
-            this.showSuccess('Product updated successfully!');
+            if (this.storefrontFilters.category === category.name) this.storefrontFilters.category = target || 'all';
+            if (this.productFilters.category === category.name) this.productFilters.category = target || 'all';
+            await this.reloadAfterCategoryChange();
+            this.showSuccess(target ? `${category.name} merged into ${target}` : `${category.name} deleted`);
         } catch (error) {
-            this.showError('Failed to update product. Please try again.');
-            console.error(error);
+            console.error('Error deleting category:', error);
+            this.showError(this.describeError(error, 'Failed to delete category'));
+            // Some products may already have moved
+            if (this.categoriesDerived) await this.reloadAfterCategoryChange().catch(reloadError => console.error('Error reloading products:', reloadError));
         } finally {
             this.hideLoading();
         }
     }
 
-    async loadOrders() {
+    // Renames and merges rewrite products server-side, so both lists are stale
+    async reloadAfterCategoryChange() {
+        await this.reloadProducts();
+        await this.loadCategories({ force: true });
+        if (this.cart.length > 0) await this.validateAndLoadCart();
+    }
+
+    // Category changes and order status moves both touch the catalog
+    async reloadProducts() {
+        const before = this.products;
+        const response = await api.getProducts({ force: true });
+        this.products = response.data || [];
+        this.notifyLowStock(before);
+    }
+
+    // Discount codes tab
+    async loadDiscounts(options = {}) {
+        const container = document.getElementById('admin-discounts');
+        if (!container) return;
+
         try {
-            const response = await api.getOrders();
-            this.orders = response.data || [];
-            this.displayOrders();
+            const response = await api.getDiscounts(options);
+            this.discounts = response.data || [];
+            this.displayDiscounts();
         } catch (error) {
-            console.error('Error loading orders:', error);
-            this.showError('Failed to load orders');
+            console.error('Error loading discounts:', error);
+            setHTML(container, html`<p>${this.describeError(error, 'Failed to load discount codes')}</p>`);
         }
     }
 
-    displayOrders(ordersToDisplay = null) {
-        const container = document.getElementById('admin-orders');
+    displayDiscounts() {
+        const container = document.getElementById('admin-discounts');
         if (!container) return;
 
-        const orders = ordersToDisplay || this.orders || [];
-
-        if (orders.length === 0) {
-            container.innerHTML = '<p>No orders found.</p>';
+        if (this.discounts.length === 0) {
+            setHTML(container, html`<p>No discount codes yet.</p>`);
             return;
         }
 
-        let html = '';
-        orders.forEach(order => {
-            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
-            const statusClass = `status-${order.status || 'pending'}`;
-            
-            html += `
-                <div class="admin-order-item fade-in">
-                    <div class="order-header">
-                        <div class="order-id">Order #${order._id.substring(0, 8)}</div>
-                        <div class="order-date">${orderDate}</div>
-                        <div class="order-status ${statusClass}">${order.status || 'pending'}</div>
-                    </div>
-                    <div class="order-details">
-                        <div class="customer-info">
-                            <strong>${order.customerName}</strong>
-                            <span>${order.customerEmail}</span>
-                        </div>
-                        <div class="order-summary">
-                            <span>${order.items?.length || 0} items</span>
-                            <strong>$${order.totalAmount.toFixed(2)}</strong>
-                        </div>
+        const canManage = auth.can('admin:manage');
+        setHTML(container, html`${this.discounts.map(discount => {
+            const expired = PricingEngine.isExpired(discount);
+            const status = discount.active === false ? 'disabled' : expired ? 'expired' : 'active';
+            return html`
+                <div class="admin-product-item discount-item fade-in">
+                    <div class="admin-product-info">
+                        <h4><code>${discount.code}</code> <span class="discount-status discount-status--${status}">${status}</span></h4>
+                        <p>${pricing.describeDiscount(discount)}${discount.minSpend ? ` on orders over ${pricing.format(discount.minSpend)}` : ''}</p>
+                        <p class="text-muted">
+                            ${discount.description || ''}
+                            ${discount.expiresAt ? ` · ${expired ? 'Expired' : 'Expires'} ${new Date(discount.expiresAt).toLocaleDateString()}` : ' · No expiry'}
+                            · Used ${discount.uses || 0} time${discount.uses === 1 ? '' : 's'}
+                        </p>
                     </div>
-                    <div class="order-actions">
-                        <button class="btn btn--secondary btn--sm" onclick="window.shop.viewOrderDetails('${order._id}')">View</button>
-                        <select class="form-control status-select" onchange="window.shop.updateOrderStatus('${order._id}', this.value)">
-                            <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>Pending</option>
-                            <option value="processing" ${order.status === 'processing' ? 'selected' : ''}>Processing</option>
-                            <option value="shipped" ${order.status === 'shipped' ? 'selected' : ''}>Shipped</option>
-                            <option value="delivered" ${order.status === 'delivered' ? 'selected' : ''}>Delivered</option>
-                            <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
-                        </select>
-                        <button class="delete-btn btn--sm" onclick="window.shop.deleteOrder('${order._id}')">Delete</button>
+                    <div class="admin-product-actions">
+                        ${canManage ? html`
+                            <button class="btn btn--secondary btn--sm" data-action="toggle-discount" data-id="${discount._id}">${discount.active === false ? 'Enable' : 'Disable'}</button>
+                            <button class="delete-btn btn--sm" data-action="delete-discount" data-id="${discount._id}">Delete</button>
+                        ` : ''}
                     </div>
                 </div>
             `;
-        });
-        container.innerHTML = html;
+        })}`);
     }
 
-    searchOrders(query) {
-        if (!this.orders) return;
+    async submitDiscountForm(form) {
+        if (!this.requirePermission('admin:manage')) return;
 
-        const filteredOrders = this.orders.filter(order => 
-            order.customerName.toLowerCase().includes(query.toLowerCase()) ||
-            order.customerEmail.toLowerCase().includes(query.toLowerCase()) ||
-            order._id.toLowerCase().includes(query.toLowerCase())
-        );
-        this.displayOrders(filteredOrders);
-    }
+        const formData = new FormData(form);
+        const type = formData.get('type');
+        const value = type === 'free-shipping' ? 0 : parseFloat(formData.get('value'));
+        const expiresOn = formData.get('expiresAt');
 
-    filterOrdersByStatus(status) {
-        if (!this.orders) return;
+        if (type !== 'free-shipping' && !(value > 0)) {
+            this.showError('Enter a discount amount greater than zero');
+            return;
+        }
+        if (type === 'percentage' && value > 100) {
+            this.showError('A percentage discount cannot exceed 100%');
+            return;
+        }
 
-        const filteredOrders = status === 'all' 
-            ? this.orders 
-            : this.orders.filter(order => (order.status || 'pending') === status);
-        this.displayOrders(filteredOrders);
-    }
+        const discountData = {
+            code: formData.get('code').trim().toUpperCase(),
+            type,
+            value,
+            category: formData.get('category'),
+            minSpend: parseFloat(formData.get('minSpend')) || 0,
+            // Valid through the end of the chosen day
+            expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : '',
+            description: formData.get('description').trim(),
+            active: true
+        };
 
-    async viewOrderDetails(orderId) {
+        this.showLoading('Creating discount code...');
         try {
-            const response = await api.getOrder(orderId);
-            const order = response.data;
+            await api.createDiscount(discountData);
+            form.reset();
+            this.showSuccess(`Discount code ${discountData.code} created`);
+            await this.loadDiscounts();
+        } catch (error) {
+            console.error('Error creating discount:', error);
+            this.showError(this.describeError(error, 'Failed to create discount code'));
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            const orderDate = new Date(order.createdAt || Date.now()).toLocaleDateString();
-            let itemsHtml = '';
-            
-            if (order.items && order.items.length > 0) {
-                order.items.forEach(item => {
-                    itemsHtml += `
-                        <div class="order-item">
-                            <span>${item.name}</span>
-                            <span>Qty: ${item.quantity}</span>
-                            <span>$${(item.price * item.quantity).toFixed(2)}</span>
-                        </div>
-                    `;
-                });
-            }
+    async toggleDiscount(discountId) {
+        if (!this.requirePermission('admin:manage')) return;
+        const discount = this.discounts.find(d => d._id === discountId);
+        if (!discount) return;
 
-            const detailsHtml = `
-                <div class="order-details-full">
-                    <div class="order-header-full">
-                        <h4>Order #${order._id}</h4>
-                        <div class="order-status status-${order.status || 'pending'}">${order.status || 'pending'}</div>
-                    </div>
-                    
-                    <div class="customer-details">
-                        <h5>Customer Information</h5>
-                        <p><strong>Name:</strong> ${order.customerName}</p>
-                        <p><strong>Email:</strong> ${order.customerEmail}</p>
-                        <p><strong>Phone:</strong> ${order.customerPhone || 'N/A'}</p>
-                    </div>
-                    
-                    <div class="shipping-address">
-                        <h5>Shipping Address</h5>
-                        <p>${order.address?.street || 'N/A'}</p>
-                        <p>${order.address?.city || 'N/A'}, ${order.address?.state || 'N/A'} ${order.address?.zipCode || 'N/A'}</p>
-                        <p>${order.address?.country || 'N/A'}</p>
-                    </div>
-                    
-                    <div class="order-items-full">
-                        <h5>Items Ordered</h5>
-                        ${itemsHtml}
-                    </div>
-                    
-                    <div class="order-total-full">
-                        <p><strong>Total Amount: $${order.totalAmount.toFixed(2)}</strong></p>
-                        <p>Order Date: ${orderDate}</p>
-                    </div>
-                </div>
-            `;
+        this.showLoading('Updating discount code...');
+        try {
+            await api.updateDiscount(discountId, { active: discount.active === false });
+            this.showSuccess(`${discount.code} ${discount.active === false ? 'enabled' : 'disabled'}`);
+            await this.loadDiscounts();
+        } catch (error) {
+            console.error('Error updating discount:', error);
+            this.showError(this.describeError(error, 'Failed to update discount code'));
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            document.getElementById('order-details-content').innerHTML = detailsHtml;
-            document.getElementById('order-details-modal').classList.remove('hidden');
+    async deleteDiscount(discountId) {
+        if (!this.requirePermission('admin:manage')) return;
+        const discount = this.discounts.find(d => d._id === discountId);
+        if (!discount || !confirm(`Delete discount code ${discount.code}?`)) return;
 
+        this.showLoading('Deleting discount code...');
+        try {
+            await api.deleteDiscount(discountId);
+            this.showSuccess(`${discount.code} deleted`);
+            await this.loadDiscounts();
         } catch (error) {
-            console.error('Error loading order details:', error);
-            this.showError('Failed to load order details');
+            console.error('Error deleting discount:', error);
+            this.showError(this.describeError(error, 'Failed to delete discount code'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Backends that don't keep history themselves get the appended entry
+    static statusChanges(order, newStatus, extra = {}) {
+        const changes = { ...extra, status: newStatus };
+        if (order) {
+            changes.statusHistory = [
+                ...ORDER_WORKFLOW.history(order),
+                { status: newStatus, from: order.status || 'pending', at: new Date().toISOString(), by: auth.user ? auth.user.name : null }
+            ];
         }
+        return changes;
     }
 
-    async updateOrderStatus(orderId, newStatus) {
+    // `extra` rides along with the status change, e.g. the packages that
+    // complete a shipment. Shipping without them asks for tracking details first.
+    async updateOrderStatus(orderId, newStatus, extra = {}) {
+        if (!this.requirePermission('admin:manage')) return;
+        const order = (this.orders || []).find(o => o._id === orderId);
+        const from = order ? order.status || 'pending' : null;
+        if (order && !ORDER_WORKFLOW.canTransition(from, newStatus)) {
+            this.displayOrders();
+            this.showError(`An order that is ${from} cannot be moved to ${newStatus}`);
+            return;
+        }
+
+        if (newStatus === 'shipped' && from !== 'shipped' && !extra.shipments) {
+            this.displayOrders();
+            await this.openShipmentForm(orderId);
+            return;
+        }
+
+        const changes = SimpleShop.statusChanges(order, newStatus, extra);
+
         this.showLoading('Updating order status...');
         try {
-            await api.updateOrder(orderId, { status: newStatus });
+            await api.updateOrder(orderId, changes);
             
             if (this.orders) {
                 const orderIndex = this.orders.findIndex(o => o._id === orderId);
@@ -722,17 +6491,183 @@ class SimpleShop {
                 }
             }
             
-            this.displayOrders();
+            await this.loadOrders();
+            // Cancelling or reopening an order moves its stock
+            await this.reloadProducts();
             this.showSuccess('Order status updated successfully!');
         } catch (error) {
-            this.showError('Failed to update order status');
+            // Put the select back to the stored status
+            this.displayOrders();
+            this.showError(this.describeError(error, 'Failed to update order status'));
             console.error(error);
         } finally {
             this.hideLoading();
         }
     }
 
+    static get shippingCarriers() {
+        return {
+            UPS: 'https://www.ups.com/track?tracknum=',
+            USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+            FedEx: 'https://www.fedex.com/fedextrack/?trknbr=',
+            DHL: 'https://www.dhl.com/en/express/tracking.html?AWB=',
+            Other: ''
+        };
+    }
+
+    static trackingUrl(shipment) {
+        const base = SimpleShop.shippingCarriers[shipment.carrier];
+        return base ? `${base}${encodeURIComponent(shipment.trackingNumber)}` : '';
+    }
+
+    // Ship dates are plain calendar dates; parse them as local midnight so
+    // they don't shift a day west of UTC
+    static formatShipDate(date) {
+        return new Date(`${String(date).slice(0, 10)}T00:00:00`).toLocaleDateString();
+    }
+
+    // Asks for the next package: carrier, tracking number, ship date and
+    // which of the not-yet-shipped units go in it (all of them by default)
+    async openShipmentForm(orderId) {
+        if (!this.requirePermission('admin:manage')) return;
+        try {
+            const response = await api.getOrder(orderId, { force: true });
+            const order = response.data;
+            const remaining = ORDER_WORKFLOW.unshipped(order.items || [], order.shipments || [])
+                .filter(item => item.quantity > 0);
+            if (remaining.length === 0) {
+                this.showError('Every item in this order has already been shipped');
+                return;
+            }
+            if (!['processing', 'shipped'].includes(order.status)) {
+                this.showError(`An order that is ${order.status || 'pending'} has to be processing before it can ship`);
+                return;
+            }
+
+            this.shippingOrder = order;
+            const packageNumber = (order.shipments || []).length + 1;
+            document.getElementById('shipment-order-id').value = order._id;
+            document.getElementById('shipment-title').textContent =
+                `Ship Order #${order._id.substring(0, 8)}${packageNumber > 1 ? ` (package ${packageNumber})` : ''}`;
+            setHTML(document.getElementById('shipment-carrier'), html`${Object.keys(SimpleShop.shippingCarriers).map(carrier => html`
+                <option value="${carrier}">${carrier}</option>
+            `)}`);
+            document.getElementById('shipment-tracking').value = '';
+            const today = new Date();
+            today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+            document.getElementById('shipment-date').value = today.toISOString().slice(0, 10);
+            setHTML(document.getElementById('shipment-items'), html`${remaining.map(item => html`
+                <label class="shipment-item">
+                    <span>${item.name}</span>
+                    <input type="number" class="form-control" name="${VARIANTS.lineKey(item.productId, item.sku)}" min="0" max="${item.quantity}" value="${item.quantity}">
+                    <span class="text-muted">of ${item.quantity}</span>
+                </label>
+            `)}`);
+
+            document.getElementById('shipment-modal').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading order for shipment:', error);
+            this.showError(this.describeError(error, 'Failed to load the order'));
+        }
+    }
+
+    async submitShipmentForm() {
+        if (!this.requirePermission('admin:manage')) return;
+        const order = this.shippingOrder;
+        if (!order) return;
+
+        const items = [...document.querySelectorAll('#shipment-items input')]
+            .map(input => {
+                const line = order.items.find(item => VARIANTS.lineKey(item.productId, item.sku) === input.name);
+                return line
+                    ? { productId: line.productId, ...(line.sku ? { sku: line.sku } : {}), name: line.name, quantity: parseInt(input.value) || 0 }
+                    : { productId: input.name, name: '', quantity: 0 };
+            })
+            .filter(line => line.quantity > 0);
+        if (items.length === 0) {
+            this.showError('Put at least one item in the package');
+            return;
+        }
+
+        const shipments = [...(order.shipments || []), {
+            id: `${order._id.substring(0, 8)}-${(order.shipments || []).length + 1}`,
+            carrier: document.getElementById('shipment-carrier').value,
+            trackingNumber: document.getElementById('shipment-tracking').value.trim(),
+            shippedAt: document.getElementById('shipment-date').value,
+            items
+        }];
+        const remaining = ORDER_WORKFLOW.unshipped(order.items || [], shipments);
+        if (remaining.some(item => item.quantity < 0)) {
+            this.showError('A package cannot contain more units than were ordered');
+            return;
+        }
+
+        this.closeModal('shipment-modal');
+        this.shippingOrder = null;
+
+        // The last package completes the shipment and moves the order along
+        if (remaining.length === 0 && order.status !== 'shipped') {
+            await this.updateOrderStatus(order._id, 'shipped', { shipments });
+        } else {
+            this.showLoading('Recording shipment...');
+            try {
+                await api.updateOrder(order._id, { shipments });
+                await this.loadOrders();
+                const units = remaining.reduce((sum, item) => sum + item.quantity, 0);
+                this.showSuccess(units > 0
+                    ? `Package recorded. ${units} unit(s) still to ship.`
+                    : 'Package recorded.');
+            } catch (error) {
+                this.showError(this.describeError(error, 'Failed to record shipment'));
+                console.error(error);
+            } finally {
+                this.hideLoading();
+            }
+        }
+
+        // Shipping from the order details modal keeps it up to date
+        const details = document.getElementById('order-details-modal');
+        if (details && !details.classList.contains('hidden')) await this.viewOrderDetails(order._id);
+    }
+
+    // Packages sent so far, with tracking links; staff also get a way to
+    // ship whatever is still waiting
+    renderShipments(order, { manage = false } = {}) {
+        const shipments = order.shipments || [];
+        const remaining = ORDER_WORKFLOW.unshipped(order.items || [], shipments)
+            .reduce((sum, item) => sum + Math.max(0, item.quantity), 0);
+        const canShip = manage && remaining > 0 && order.status === 'processing';
+        if (shipments.length === 0 && !canShip) return '';
+
+        return html`
+            <div class="shipments">
+                <h5>Shipments</h5>
+                ${shipments.map((shipment, i) => {
+                    const url = SimpleShop.trackingUrl(shipment);
+                    return html`
+                        <div class="shipment">
+                            <div class="shipment-header">
+                                <strong>Package ${i + 1}</strong>
+                                <span>${shipment.carrier}</span>
+                                ${url
+                                    ? html`<a href="${url}" target="_blank" rel="noopener">${shipment.trackingNumber}</a>`
+                                    : html`<span>${shipment.trackingNumber}</span>`}
+                                <span class="text-muted">Shipped ${SimpleShop.formatShipDate(shipment.shippedAt)}</span>
+                            </div>
+                            <ul class="shipment-lines">
+                                ${(shipment.items || []).map(line => html`<li>${line.name} &times; ${line.quantity}</li>`)}
+                            </ul>
+                        </div>
+                    `;
+                })}
+                ${remaining > 0 && shipments.length > 0 ? html`<p class="text-muted">${remaining} unit(s) not yet shipped.</p>` : ''}
+                ${canShip ? html`<button class="btn btn--primary btn--sm" data-action="ship-order" data-id="${order._id}">${shipments.length > 0 ? 'Ship Another Package' : 'Ship Items'}</button>` : ''}
+            </div>
+        `;
+    }
+
     async deleteOrder(orderId) {
+        if (!this.requirePermission('admin:manage')) return;
         if (!confirm('Are you sure you want to delete this order?')) return;
 
         this.showLoading('Deleting order...');
@@ -743,11 +6678,12 @@ class SimpleShop {
                 this.orders = this.orders.filter(o => o._id !== orderId);
             }
             
-            this.displayOrders();
+            await this.loadOrders();
+            await this.reloadProducts();
             this.loadDashboardStats();
             this.showSuccess('Order deleted successfully!');
         } catch (error) {
-            this.showError('Failed to delete order');
+            this.showError(this.describeError(error, 'Failed to delete order'));
             console.error(error);
         } finally {
             this.hideLoading();
@@ -757,7 +6693,7 @@ class SimpleShop {
     async refreshOrders() {
         this.showLoading('Refreshing orders...');
         try {
-            await this.loadOrders();
+            await this.loadOrders({ force: true });
             this.showSuccess('Orders refreshed successfully!');
         } catch (error) {
             this.showError('Failed to refresh orders');
@@ -766,83 +6702,153 @@ class SimpleShop {
         }
     }
 
+    async refreshProducts() {
+        this.showLoading('Refreshing products...');
+        try {
+            const response = await api.getProducts({ force: true });
+            this.products = response.data || [];
+            this.applyAdminProductFilters();
+            this.displayProducts();
+            this.showSuccess('Products refreshed successfully!');
+        } catch (error) {
+            this.showError(this.describeError(error, 'Failed to refresh products'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    changeAnalyticsOption(option, value) {
+        this.analyticsOptions[option] = value;
+        this.loadAnalytics();
+    }
+
     async loadAnalytics() {
+        const set = (id, content) => {
+            const el = document.getElementById(id);
+            if (el) setHTML(el, content);
+        };
+        this.setFieldValue('analytics-range', this.analyticsOptions.range);
+        this.setFieldValue('analytics-interval', this.analyticsOptions.interval);
+
         try {
-            const topProductsHtml = this.products
-                .filter(p => p.stock < 20)
-                .slice(0, 5)
-                .map(p => `<div class="analytics-item">${p.name} - $${p.price}</div>`)
-                .join('');
-            
-            const topProductsEl = document.getElementById('top-products');
-            if (topProductsEl) {
-                topProductsEl.innerHTML = topProductsHtml || '<p>No data available</p>';
-            }
+            // `this.orders` is only the current admin page; analytics need them all.
+            // A newer range or interval choice supersedes a load still in flight.
+            const ordersResponse = await api.getOrders({ cancelKey: 'analytics' });
+            const report = new SalesAnalytics(ordersResponse.data || [], this.products, this.analyticsOptions);
+            const summary = report.summary();
+            const money = (value) => pricing.format(value);
+
+            set('analytics-summary', html`
+                <div class="stat-card"><h3>Revenue</h3><div class="stat-number">${money(summary.revenue)}</div></div>
+                <div class="stat-card"><h3>Orders</h3><div class="stat-number">${summary.orders}</div></div>
+                <div class="stat-card"><h3>Avg. Order Value</h3><div class="stat-number">${money(summary.averageOrderValue)}</div></div>
+                <div class="stat-card"><h3>Units Sold</h3><div class="stat-number">${summary.units}</div></div>
+                <div class="stat-card">
+                    <h3>Cancellation Rate</h3>
+                    <div class="stat-number">${PricingEngine.formatRate(summary.cancellationRate)}</div>
+                    <span class="text-muted">${summary.cancelled} cancelled</span>
+                </div>
+            `);
+
+            const series = report.series();
+            set('revenue-chart', CHARTS.line(series.map(({ label, revenue }) => ({ label, value: revenue })), money));
+            set('orders-chart', CHARTS.bar(series.map(({ label, orders }) => ({ label, value: orders }))));
+            set('category-chart', CHARTS.pie(report.revenueByCategory(), money));
+            set('order-status-chart', CHARTS.pie(report.statusCounts()));
+
+            const bestSellers = (by, format) => {
+                const rows = report.bestSellers(by);
+                const max = rows.length > 0 ? rows[0][by] : 0;
+                return rows.length === 0 ? CHARTS.empty('No sales in this period') : html`${rows.map(row => html`
+                    <div class="analytics-item best-seller">
+                        <span>${row.name}</span>
+                        <strong>${format(row[by])}</strong>
+                        <span class="best-seller-bar" style="width: ${Math.round((row[by] / max) * 100)}%"></span>
+                    </div>
+                `)}`;
+            };
+            set('best-sellers-units', bestSellers('units', (units) => `${units} sold`));
+            set('best-sellers-revenue', bestSellers('revenue', money));
+        } catch (error) {
+            if (error.isAborted) return;
+            console.error('Error loading analytics:', error);
+            set('analytics-summary', html`<p>${this.describeError(error, 'Failed to load analytics')}</p>`);
+        }
+
+        try {
+            const lowStockProducts = this.products.filter(p => INVENTORY.isLow(p, this.categories));
 
-            const lowStockProducts = this.products.filter(p => p.stock < 5);
-            const lowStockHtml = lowStockProducts
-                .map(p => `<div class="analytics-item low-stock">${p.name} - ${p.stock} left</div>`)
-                .join('');
-            
             const lowStockEl = document.getElementById('low-stock-products');
             if (lowStockEl) {
-                lowStockEl.innerHTML = lowStockHtml || '<p>All products well stocked</p>';
+                setHTML(lowStockEl, lowStockProducts.length > 0
+                    ? html`${lowStockProducts.map(p => html`<div class="analytics-item low-stock">${p.name} - ${p.stock} left</div>`)}`
+                    : html`<p>All products well stocked</p>`);
             }
-
-            if (this.orders) {
-                const statusCount = this.orders.reduce((acc, order) => {
-                    const status = order.status || 'pending';
-                    acc[status] = (acc[status] || 0) + 1;
-                    return acc;
-                }, {});
-
-                const statusHtml = Object.entries(statusCount)
-                    .map(([status, count]) => `<div class="analytics-item">${status}: ${count}</div>`)
-                    .join('');
-                
-                const statusChartEl = document.getElementById('order-status-chart');
-                if (statusChartEl) {
-                    statusChartEl.innerHTML = statusHtml || '<p>No orders yet</p>';
-                }
-            }
-
         } catch (error) {
             console.error('Error loading analytics:', error);
         }
     }
 
-    addToCart(productId) {
+    // One cart line per product, or per variant for products that have them
+    cartLine(product, variant, quantity) {
+        return {
+            key: VARIANTS.lineKey(product._id, variant && variant.sku),
+            id: product._id,
+            ...(variant ? { sku: variant.sku } : {}),
+            name: VARIANTS.lineName(product, variant),
+            price: VARIANTS.price(product, variant),
+            category: product.category,
+            ...(product.weight ? { weight: product.weight } : {}),
+            image: (variant && variant.image) || IMAGES.primary(product, { thumbnail: true }),
+            quantity
+        };
+    }
+
+    // What is on the shelf for a cart line, or null if it is no longer sold
+    lineStock(item) {
+        const product = this.products.find(p => p._id === item.id);
+        if (!product) return null;
+        const variant = VARIANTS.find(product, item.sku);
+        return item.sku && !variant ? null : VARIANTS.stock(product, variant);
+    }
+
+    addToCart(productId, quantity = 1, sku = null) {
         const product = this.products.find(p => p._id === productId);
         if (!product) {
             this.showError('Product not found!');
-            return;
+            return false;
         }
 
-        if (product.stock <= 0) {
+        const variant = VARIANTS.find(product, sku);
+        if (VARIANTS.has(product) && !variant) {
+            this.showError(`Choose a ${product.options.map(option => option.name.toLowerCase()).join(' and ')} first`);
+            return false;
+        }
+
+        const stock = VARIANTS.stock(product, variant);
+        if (stock <= 0) {
             this.showError('Product is out of stock!');
-            return;
+            return false;
+        }
+
+        const line = this.cartLine(product, variant, quantity);
+        const existingItem = this.cart.find(item => item.key === line.key);
+        const currentQuantity = existingItem ? existingItem.quantity : 0;
+        if (currentQuantity + quantity > stock) {
+            this.showError('Cannot add more items than available stock!');
+            return false;
         }
 
-        const existingItem = this.cart.find(item => item.id === productId);
         if (existingItem) {
-            if (existingItem.quantity >= product.stock) {
-                this.showError('Cannot add more items than available stock!');
-                return;
-            }
-            existingItem.quantity += 1;
+            existingItem.quantity += quantity;
         } else {
-            this.cart.push({
-                id: productId,
-                name: product.name,
-                price: product.price,
-                image: product.image,
-                quantity: 1
-            });
+            this.cart.push(line);
         }
 
         localStorage.setItem('cart', JSON.stringify(this.cart));
         this.updateCartDisplay();
-        this.showSuccess(`${product.name} added to cart!`);
+        this.showSuccess(`${line.name} added to cart!`);
+        return true;
     }
 
     updateCartDisplay() {
@@ -860,79 +6866,67 @@ class SimpleShop {
         if (!container) return;
 
         if (this.cart.length === 0) {
-            container.innerHTML = '<div class="empty-cart"><p>Your cart is empty. Start shopping!</p></div>';
+            setHTML(container, html`<div class="empty-cart"><p>Your cart is empty. Start shopping!</p></div>`);
             if (summary) summary.style.display = 'none';
             return;
         }
 
-        let html = '';
-        let subtotal = 0;
-
-        this.cart.forEach(item => {
-            const itemTotal = item.price * item.quantity;
-            subtotal += itemTotal;
-            html += `
-                <div class="cart-item fade-in">
-                    <img src="${item.image}" alt="${item.name}" class="cart-item-image">
-                    <div class="cart-item-info">
-                        <h4>${item.name}</h4>
-                        <div class="cart-item-price">$${item.price.toFixed(2)}</div>
-                    </div>
-                    <div class="quantity-controls">
-                        <button class="quantity-btn" onclick="window.shop.updateQuantity('${item.id}', ${item.quantity - 1})">-</button>
-                        <span class="quantity-display">${item.quantity}</span>
-                        <button class="quantity-btn" onclick="window.shop.updateQuantity('${item.id}', ${item.quantity + 1})">+</button>
-                    </div>
-                    <button class="remove-btn" onclick="window.shop.removeFromCart('${item.id}')">Remove</button>
+        setHTML(container, html`${this.cart.map(item => html`
+            <div class="cart-item fade-in">
+                <img src="${safeImageUrl(item.image)}" alt="${item.name}" class="cart-item-image">
+                <div class="cart-item-info">
+                    <h4>${item.name}</h4>
+                    <div class="cart-item-price">${pricing.format(item.price)}</div>
+                    ${this.renderStockConflict(item)}
                 </div>
-            `;
-        });
-
-        container.innerHTML = html;
+                <div class="quantity-controls">
+                    <button class="quantity-btn" data-action="update-quantity" data-id="${item.key}" data-quantity="${item.quantity - 1}">-</button>
+                    <span class="quantity-display">${item.quantity}</span>
+                    <button class="quantity-btn" data-action="update-quantity" data-id="${item.key}" data-quantity="${item.quantity + 1}">+</button>
+                </div>
+                <button class="remove-btn" data-action="remove-from-cart" data-id="${item.key}">Remove</button>
+            </div>
+        `)}`);
 
         if (summary) {
-            const total = subtotal + 9.99;
-            const subtotalEl = document.getElementById('cart-subtotal');
-            const totalEl = document.getElementById('cart-total');
-            
-            if (subtotalEl) subtotalEl.textContent = `$${subtotal.toFixed(2)}`;
-            if (totalEl) totalEl.textContent = `$${total.toFixed(2)}`;
+            this.displayPriceSummary('cart', this.quoteCart());
             summary.style.display = 'block';
         }
     }
 
-    updateQuantity(productId, newQuantity) {
+    // `key` is the cart line's: the product id, plus the SKU for a variant
+    updateQuantity(key, newQuantity) {
         if (newQuantity <= 0) {
-            this.removeFromCart(productId);
+            this.removeFromCart(key);
             return;
         }
 
-        const product = this.products.find(p => p._id === productId);
-        if (product && newQuantity > product.stock) {
+        const item = this.cart.find(item => item.key === key);
+        const stock = item ? this.lineStock(item) : null;
+        if (stock !== null && newQuantity > stock) {
             this.showError('Cannot exceed available stock!');
             return;
         }
 
-        const item = this.cart.find(item => item.id === productId);
         if (item) {
             item.quantity = newQuantity;
             localStorage.setItem('cart', JSON.stringify(this.cart));
-            this.displayCart();
+            this.refreshPriceSummaries();
             this.updateCartDisplay();
         }
     }
 
-    removeFromCart(productId) {
-        console.log('Removing item from cart:', productId);
+    removeFromCart(key) {
+        console.log('Removing item from cart:', key);
         
         // Remove the item from the cart array
-        this.cart = this.cart.filter(item => item.id !== productId);
+        this.cart = this.cart.filter(item => item.key !== key);
         
         // Update localStorage
         localStorage.setItem('cart', JSON.stringify(this.cart));
         
         // Refresh the display
-        this.displayCart();
+        this.refreshPriceSummaries();
         this.updateCartDisplay();
         
         this.showSuccess('Item removed from cart');
@@ -953,66 +6947,508 @@ class SimpleShop {
         const container = document.getElementById('checkout-items');
         if (!container) return;
 
+        // Anything that changes the cart or its totals needs reviewing again
+        this.showCheckoutStep('details');
+        const blocked = Object.keys(this.stockConflicts).length > 0;
+        const notice = document.getElementById('checkout-stock-notice');
+        const submit = document.getElementById('place-order-btn');
+        if (notice) notice.classList.toggle('hidden', !blocked);
+        if (submit) submit.disabled = blocked || this.cart.length === 0;
+
         if (this.cart.length === 0) {
-            container.innerHTML = '<p>No items in cart</p>';
+            setHTML(container, html`<p>No items in cart</p>`);
             return;
         }
 
-        let html = '';
-        let subtotal = 0;
+        setHTML(container, html`${this.cart.map(item => html`
+            <div class="checkout-item ${this.stockConflicts[item.key] ? 'has-conflict' : ''}">
+                <span>${item.name} x${item.quantity}</span>
+                <span>${pricing.format(item.price * item.quantity)}</span>
+                ${this.renderStockConflict(item)}
+            </div>
+        `)}`);
+
+        this.displayPriceSummary('checkout', this.quoteCart());
+    }
 
+    // Cart lines asking for more than the last-fetched stock, keyed by line key.
+    // Products missing from the catalog are validateAndLoadCart's job, not a conflict.
+    get stockConflicts() {
+        const conflicts = {};
         this.cart.forEach(item => {
-            const itemTotal = item.price * item.quantity;
-            subtotal += itemTotal;
-            html += `
-                <div class="checkout-item">
-                    <span>${item.name} x${item.quantity}</span>
-                    <span>$${itemTotal.toFixed(2)}</span>
-                </div>
-            `;
+            const stock = this.lineStock(item);
+            if (stock !== null && item.quantity > stock) {
+                conflicts[item.key] = { requested: item.quantity, available: Math.max(0, stock) };
+            }
         });
+        return conflicts;
+    }
 
-        container.innerHTML = html;
+    // Stock may have moved since the catalog was loaded, so re-read it before
+    // showing or submitting the cart. Keeps the cached products if offline.
+    async checkCartStock() {
+        try {
+            await this.reloadProducts();
+        } catch (error) {
+            console.error('Error refreshing stock:', error);
+        }
+        await this.validateAndLoadCart();
+        return this.stockConflicts;
+    }
 
-        const total = subtotal + 9.99;
-        const checkoutSubtotalEl = document.getElementById('checkout-subtotal');
-        const checkoutTotalEl = document.getElementById('checkout-total');
-        
-        if (checkoutSubtotalEl) checkoutSubtotalEl.textContent = `$${subtotal.toFixed(2)}`;
-        if (checkoutTotalEl) checkoutTotalEl.textContent = `$${total.toFixed(2)}`;
+    renderStockConflict(item) {
+        const conflict = this.stockConflicts[item.key];
+        if (!conflict) return '';
+
+        return html`
+            <div class="stock-conflict">
+                <span>${conflict.available > 0 ? `Only ${conflict.available} left` : 'Sold out'}</span>
+                ${conflict.available > 0 ? html`
+                    <button class="btn btn--secondary btn--sm" data-action="update-quantity" data-id="${item.key}" data-quantity="${conflict.available}">Change to ${conflict.available}</button>
+                ` : ''}
+                <button class="btn btn--secondary btn--sm" data-action="remove-from-cart" data-id="${item.key}">Remove</button>
+            </div>
+        `;
+    }
+
+    // Where the cart is being shipped: what's entered at checkout so far, else
+    // the customer's default address, else the store's default country.
+    checkoutDestination() {
+        const country = document.getElementById('country');
+        const state = document.getElementById('state');
+        const chosen = country && country.value && country.value !== pricing.config.defaultCountry;
+        if (chosen || (state && state.value.trim())) {
+            return { country: country ? country.value : undefined, state: state ? state.value : '' };
+        }
+
+        const saved = this.savedAddresses.find(a => a.isDefault) || this.savedAddresses[0];
+        return saved ? { country: saved.country, state: saved.state } : {};
+    }
+
+    // Checkout field for each CHECKOUT_SCHEMA field; the street's is `address`
+    static get checkoutFieldIds() {
+        return {
+            firstName: 'firstName',
+            lastName: 'lastName',
+            email: 'email',
+            phone: 'phone',
+            street: 'address',
+            city: 'city',
+            state: 'state',
+            zipCode: 'zipCode',
+            country: 'country'
+        };
+    }
+
+    populateCountrySelect() {
+        const select = document.getElementById('country');
+        if (!select) return;
+        const current = select.value || pricing.config.defaultCountry;
+        setHTML(select, html`${Object.entries(CHECKOUT_SCHEMA.countries).map(([code, country]) => html`
+            <option value="${code}" ${code === current ? html`selected` : ''}>${country.name}</option>
+        `)}`);
+        this.changeCheckoutCountry(select.value);
+    }
+
+    // The region field is a list for countries that have one and free text
+    // otherwise; labels and the postal code hint follow the country.
+    changeCheckoutCountry(code, state = '') {
+        const format = CHECKOUT_SCHEMA.country(code);
+        const group = document.getElementById('state-group');
+        if (!format || !group) return;
+
+        const label = format.regionLabel;
+        setHTML(group, html`
+            <label class="form-label" for="state">${format.regions ? label : `${label} (optional)`}</label>
+            ${format.regions ? html`
+                <select id="state" name="state" class="form-control" autocomplete="address-level1" required>
+                    <option value="">Select ${label.toLowerCase()}</option>
+                    ${Object.entries(format.regions).map(([regionCode, name]) => html`
+                        <option value="${regionCode}" ${regionCode === state ? html`selected` : ''}>${name}</option>
+                    `)}
+                </select>
+            ` : html`
+                <input type="text" id="state" name="state" class="form-control" autocomplete="address-level1" value="${state}">
+            `}
+        `);
+
+        const zipLabel = document.getElementById('zipCode-label');
+        if (zipLabel) zipLabel.textContent = format.postalLabel;
+        const zipField = document.getElementById('zipCode');
+        if (zipField) zipField.placeholder = format.postalExample.split(' or ')[0];
+    }
+
+    readCheckoutForm(form) {
+        const formData = new FormData(form);
+        return {
+            firstName: formData.get('firstName'),
+            lastName: formData.get('lastName'),
+            email: formData.get('email'),
+            phone: formData.get('phone'),
+            street: formData.get('address'),
+            city: formData.get('city'),
+            state: formData.get('state'),
+            zipCode: formData.get('zipCode'),
+            country: formData.get('country')
+        };
+    }
+
+    checkCheckoutField(control) {
+        const field = Object.keys(SimpleShop.checkoutFieldIds).find(key => SimpleShop.checkoutFieldIds[key] === control.id);
+        const form = control.form;
+        if (!field || !form) return;
+        this.clearFieldErrorFor(form, control);
+        // Blank fields are left for the submit to flag
+        if (!control.value.trim()) return;
+        const { data, errors } = CHECKOUT_SCHEMA.validate(this.readCheckoutForm(form), { fields: [field] });
+        if (errors[field]) this.showFieldError(control, errors[field]);
+        else control.value = data[field];
+    }
+
+    showCheckoutErrors(form, errors) {
+        this.showCheckoutStep('details');
+        return this.showFieldErrors(form, errors,
+            (field) => document.getElementById(SimpleShop.checkoutFieldIds[field] || field));
+    }
+
+    // Card details are read straight from their fields and never leave the
+    // browser except to go to the payment provider.
+    readPaymentForm(form) {
+        const chosen = form.querySelector('input[name="paymentMethod"]:checked');
+        const value = (id) => (document.getElementById(id) || {}).value || '';
+        return {
+            method: chosen ? chosen.value : '',
+            card: {
+                name: value('cardName'),
+                number: value('cardNumber'),
+                expiry: value('cardExpiry'),
+                cvc: value('cardCvc')
+            }
+        };
+    }
+
+    changePaymentMethod(method) {
+        const cardFields = document.getElementById('card-fields');
+        const note = document.getElementById('payment-note');
+        if (cardFields) cardFields.classList.toggle('hidden', method !== 'card');
+        if (!note) return;
+        const details = PAYMENTS.methods[method];
+        note.textContent = method === 'card' ? (payments.hint || '') : ((details && details.note) || '');
+        note.classList.toggle('hidden', !note.textContent);
+    }
+
+    validatePayment(form) {
+        const { method, card } = this.readPaymentForm(form);
+        if (!PAYMENTS.methods[method]) return { data: null, errors: { paymentMethod: 'Choose how you would like to pay' } };
+        if (method !== 'card') return { data: { method }, errors: {} };
+        if (!payments.methods.includes('card')) {
+            return { data: null, errors: { paymentMethod: 'Card payments are not available right now' } };
+        }
+        const { data, errors } = PAYMENTS.validateCard(card);
+        return { data: { method, card: data }, errors };
+    }
+
+    clearCardFields() {
+        ['cardName', 'cardNumber', 'cardExpiry', 'cardCvc'].forEach(id => this.setFieldValue(id, ''));
+    }
+
+    // Resolves with the code the shopper enters, or null if they cancel
+    promptPaymentChallenge(challenge) {
+        const modal = document.getElementById('payment-challenge-modal');
+        const input = document.getElementById('payment-challenge-code');
+        document.getElementById('payment-challenge-message').textContent = challenge.message;
+        input.value = '';
+        modal.classList.remove('hidden');
+        input.focus();
+        return new Promise(resolve => {
+            this.paymentChallenge = resolve;
+        });
+    }
+
+    resolvePaymentChallenge(code) {
+        const resolve = this.paymentChallenge;
+        if (!resolve) return;
+        this.paymentChallenge = null;
+        this.closeModal('payment-challenge-modal');
+        resolve(code);
+    }
+
+    // Charges the card for a just-placed order, then has the backend settle
+    // the order from what the provider recorded. Resolves with whether it
+    // was paid, the order as the backend now has it and a message if not.
+    async payForOrder(order, card, checkoutToken) {
+        let result = { status: 'failed' };
+        try {
+            result = await payments.charge({
+                amount: order.totalAmount,
+                currency: pricing.config.currency.code,
+                card,
+                reference: order._id
+            });
+            if (result.status === 'challenge') {
+                this.hideLoading();
+                const code = await this.promptPaymentChallenge(result.challenge);
+                this.showLoading('Confirming your payment...');
+                result = await payments.confirm(result.challenge, code);
+            }
+        } catch (error) {
+            console.error('Payment error:', error);
+        }
+
+        try {
+            const response = await api.recordPayment(order._id, checkoutToken);
+            const payment = response.data.payment || {};
+            return { paid: payment.status === 'paid', order: response.data, message: payment.message };
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            // The card was charged; the backend settles the order with the provider later
+            const rejected = error instanceof ApiError && error.status >= 400 && error.status < 500;
+            if (result.status === 'paid' && !rejected) return { paid: true, order, unconfirmed: true };
+            return { paid: false, order, message: rejected ? error.message : result.message };
+        }
+    }
+
+    // Checkout is two steps: the details form, then a read-only summary of
+    // the order that the shopper confirms with Place Order.
+    showCheckoutStep(step, { details = null, quote = null, payment = null } = {}) {
+        const review = document.getElementById('checkout-review');
+        const submit = document.getElementById('place-order-btn');
+        if (!review) return;
+        this.checkoutStep = step;
+        document.getElementById('checkout-details').classList.toggle('hidden', step === 'review');
+        review.classList.toggle('hidden', step !== 'review');
+        if (submit) submit.textContent = step === 'review' ? 'Place Order' : 'Review Order';
+        if (step !== 'review') {
+            setHTML(review, '');
+            return;
+        }
+
+        setHTML(review, html`
+            <h3>Review Your Order</h3>
+            <div class="review-section">
+                <div class="review-heading">
+                    <h4>Contact</h4>
+                    <button type="button" class="btn btn--secondary btn--sm" data-action="edit-checkout">Edit</button>
+                </div>
+                <p>${details.firstName} ${details.lastName}</p>
+                <p>${details.email}</p>
+                ${details.phone ? html`<p>${details.phone}</p>` : ''}
+            </div>
+            <div class="review-section">
+                <div class="review-heading">
+                    <h4>Shipping To</h4>
+                    <button type="button" class="btn btn--secondary btn--sm" data-action="edit-checkout">Edit</button>
+                </div>
+                ${CHECKOUT_SCHEMA.formatAddress(details).map(line => html`<p>${line}</p>`)}
+            </div>
+            <div class="review-section">
+                <div class="review-heading">
+                    <h4>Payment</h4>
+                    <button type="button" class="btn btn--secondary btn--sm" data-action="edit-checkout">Edit</button>
+                </div>
+                <p>${PAYMENTS.describe(payment.card ? { method: payment.method, ...payment.card } : payment)}</p>
+            </div>
+            <div class="review-section">
+                <h4>Items</h4>
+                ${this.cart.map(item => html`
+                    <div class="summary-row">
+                        <span>${item.name} x${item.quantity}</span>
+                        <span>${pricing.format(item.price * item.quantity)}</span>
+                    </div>
+                `)}
+            </div>
+            <div class="review-section">
+                ${this.renderPricingBreakdown({ pricing: quote, totalAmount: quote.total })}
+            </div>
+        `);
+        review.focus();
+    }
+
+    quoteCart(address = this.checkoutDestination()) {
+        return pricing.quote(this.cart, address, this.appliedDiscount);
+    }
+
+    // Fills the `<prefix>-subtotal/-shipping/-tax/-total` summary rows
+    displayPriceSummary(prefix, quote) {
+        const set = (suffix, text) => {
+            const el = document.getElementById(`${prefix}-${suffix}`);
+            if (el) el.textContent = text;
+        };
+
+        set('subtotal', pricing.format(quote.subtotal));
+        set('shipping', quote.shipping === 0 && quote.subtotal > 0 ? 'Free' : pricing.format(quote.shipping));
+        set('shipping-rule', quote.shippingRule ? `(${quote.shippingRule})` : '');
+        set('tax-label', quote.taxRate ? `Tax (${quote.state || quote.country} ${PricingEngine.formatRate(quote.taxRate)}):` : 'Tax:');
+        set('tax', pricing.format(quote.tax));
+        set('total', pricing.format(quote.total));
+
+        const discountRow = document.getElementById(`${prefix}-discount-row`);
+        if (discountRow) discountRow.classList.toggle('hidden', !quote.discount);
+        if (quote.discount) {
+            set('discount-label', `Discount (${quote.discount.code}):`);
+            set('discount', `-${pricing.format(quote.discount.amount)}`);
+        }
+
+        const couponStatus = document.getElementById(`${prefix}-coupon-status`);
+        if (!couponStatus) return;
+        if (!this.appliedDiscount) {
+            setHTML(couponStatus, '');
+            return;
+        }
+        setHTML(couponStatus, html`
+            <span class="${quote.discountError ? 'coupon-error' : 'coupon-applied'}">
+                ${quote.discountError || html`<strong>${this.appliedDiscount.code}</strong> ${pricing.describeDiscount(this.appliedDiscount)}`}
+            </span>
+            <button class="btn btn--secondary btn--sm" data-action="remove-discount">Remove</button>
+        `);
+    }
+
+    refreshPriceSummaries() {
+        if (this.currentPage === 'cart') this.displayCart();
+        if (this.currentPage === 'checkout') this.displayCheckout();
+    }
+
+    // A corrupt saved code is dropped rather than stopping the shop from starting
+    static loadAppliedDiscount() {
+        try {
+            const discount = JSON.parse(localStorage.getItem('appliedDiscount'));
+            if (discount && typeof discount === 'object' && typeof discount.code === 'string') return discount;
+        } catch (error) {
+            console.error('Error reading applied discount:', error);
+        }
+        localStorage.removeItem('appliedDiscount');
+        return null;
+    }
+
+    async applyDiscountCode(form) {
+        const input = form.querySelector('input[name="code"]');
+        const code = input ? input.value.trim().toUpperCase() : '';
+        if (!code) return;
+
+        this.showLoading('Checking discount code...');
+        try {
+            const response = await api.validateDiscount(code);
+            const discount = response.data;
+            const quote = pricing.quote(this.cart, this.checkoutDestination(), discount);
+            if (quote.discountError) {
+                this.showError(quote.discountError);
+                return;
+            }
+
+            this.appliedDiscount = discount;
+            localStorage.setItem('appliedDiscount', JSON.stringify(discount));
+            form.reset();
+            this.refreshPriceSummaries();
+            this.showSuccess(`${discount.code} applied: ${pricing.describeDiscount(discount)}`);
+        } catch (error) {
+            this.showError(error.status === 404
+                ? `${code} is not a valid discount code`
+                : this.describeError(error, 'Failed to check that discount code'));
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    removeDiscountCode() {
+        this.appliedDiscount = null;
+        localStorage.removeItem('appliedDiscount');
+        this.refreshPriceSummaries();
+    }
+
+    // Older orders have no stored breakdown; they only show the total
+    renderPricingBreakdown(order) {
+        const quote = order.pricing;
+        if (!quote) {
+            return html`<p><strong>Total Amount: ${pricing.format(order.totalAmount)}</strong></p>`;
+        }
+
+        return html`
+            <div class="summary-row"><span>Subtotal:</span><span>${pricing.format(quote.subtotal)}</span></div>
+            <div class="summary-row">
+                <span>Shipping${quote.shippingRule ? ` (${quote.shippingRule})` : ''}:</span>
+                <span>${quote.shipping === 0 ? 'Free' : pricing.format(quote.shipping)}</span>
+            </div>
+            ${quote.discount ? html`
+                <div class="summary-row discount-row">
+                    <span>Discount (${quote.discount.code}: ${quote.discount.description}):</span>
+                    <span>-${pricing.format(quote.discount.amount)}</span>
+                </div>
+            ` : ''}
+            <div class="summary-row">
+                <span>Tax${quote.taxRate ? ` (${PricingEngine.formatRate(quote.taxRate)})` : ''}:</span>
+                <span>${pricing.format(quote.tax)}</span>
+            </div>
+            <div class="summary-row total"><span>Total Amount:</span><span>${pricing.format(order.totalAmount)}</span></div>
+        `;
     }
 
     async handleCheckout(e) {
-        const formData = new FormData(e.target);
+        const form = e.target;
+        const formData = new FormData(form);
+        const customer = auth.can('account') ? auth.user : null;
         
-        // Validate cart before checkout
-        await this.validateAndLoadCart();
+        // Validate cart and stock before checkout
+        const conflicts = await this.checkCartStock();
         
         if (this.cart.length === 0) {
             this.showError('Your cart is empty!');
             return;
         }
-        
-        console.log('Cart items:', this.cart);
-        
+
+        if (Object.keys(conflicts).length > 0) {
+            this.displayCheckout();
+            this.showError('Some items in your cart exceed the stock that is left. Adjust them to continue.');
+            return;
+        }
+
+        const { data: details, errors: detailErrors } = CHECKOUT_SCHEMA.validate(this.readCheckoutForm(form));
+        const { data: payment, errors: paymentErrors } = this.validatePayment(form);
+        const errors = { ...detailErrors, ...paymentErrors };
+        if (Object.keys(errors).length > 0) {
+            this.showCheckoutErrors(form, errors);
+            return;
+        }
+        // Show the cleaned-up values the order will be saved with
+        Object.entries(details).forEach(([field, value]) => this.setFieldValue(SimpleShop.checkoutFieldIds[field], value));
+
+        const address = {
+            street: details.street,
+            city: details.city,
+            state: details.state,
+            zipCode: details.zipCode,
+            country: details.country
+        };
+        const quote = this.quoteCart(address);
+        if (quote.discountError) {
+            this.showError(`${quote.discountError}. Remove the code to continue.`);
+            return;
+        }
+        delete quote.discountError;
+
+        if (this.checkoutStep !== 'review') {
+            this.showCheckoutStep('review', { details, quote, payment });
+            return;
+        }
+
         const customerData = {
-            customerName: `${formData.get('firstName')} ${formData.get('lastName')}`,
-            customerEmail: formData.get('email'),
-            customerPhone: formData.get('phone'),
-            address: {
-                street: formData.get('address'),
-                city: formData.get('city'),
-                state: formData.get('state'),
-                zipCode: formData.get('zipCode')
-            },
+            customerName: `${details.firstName} ${details.lastName}`,
+            customerEmail: details.email,
+            customerPhone: details.phone,
+            address,
             items: this.cart.map(item => ({
                 productId: item.id,
+                ...(item.sku ? { sku: item.sku } : {}),
                 name: item.name,
                 price: item.price,
+                ...(item.weight ? { weight: item.weight } : {}),
                 quantity: item.quantity
             })),
-            totalAmount: this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) + 9.99
+            pricing: quote,
+            totalAmount: quote.total,
+            payment: { method: payment.method }
         };
+        if (quote.discount) customerData.discountCode = quote.discount.code;
+        if (customer) customerData.customerId = customer._id;
 
         console.log('Order data being sent:', customerData);
 
@@ -1020,54 +7456,180 @@ class SimpleShop {
         try {
             const response = await api.createOrder(customerData);
             console.log('Order response:', response);
+            const order = response.data;
+
+            let outcome = null;
+            if (payment.method === 'card') {
+                outcome = await this.payForOrder(order, payment.card, response.checkoutToken);
+                if (!outcome.paid) {
+                    // The order was cancelled; keep the cart so the shopper can try again
+                    const reason = (outcome.message || 'The payment was not approved').replace(/\.$/, '');
+                    this.showCheckoutErrors(form, { cardNumber: `${reason}. Your order was not placed.` });
+                    this.showError('Payment failed. Try another card or payment method.');
+                    await this.reloadProducts().catch(error => console.error('Error reloading products:', error));
+                    return;
+                }
+            }
+            this.clearCardFields();
             
             // Clear cart after successful order
             this.cart = [];
             localStorage.removeItem('cart');
             this.updateCartDisplay();
-            
-            this.showSuccess('Order placed successfully!');
-            this.navigateTo('products');
+            this.appliedDiscount = null;
+            localStorage.removeItem('appliedDiscount');
+            this.showCheckoutStep('details');
+
+            if (customer && formData.get('saveAddress')) {
+                await this.saveCheckoutAddress(details, formData.get('addressLabel'));
+            }
+
+            if (outcome && outcome.unconfirmed) {
+                this.showSuccess('Your payment went through and your order is placed. It may take a few minutes to show as paid.');
+            } else {
+                this.showSuccess(payment.method === 'bank-transfer' && order
+                    ? `Order placed! Use order number ${order._id} as the reference for your bank transfer.`
+                    : 'Order placed successfully!');
+            }
+            // The order took its items off the shelf
+            await this.reloadProducts().catch(error => console.error('Error reloading products:', error));
+            if (customer && order) {
+                this.navigateTo('account', { orderId: order._id });
+            } else {
+                this.navigateTo('products');
+            }
         } catch (error) {
             console.error('Checkout error:', error);
-            this.showError('Failed to place order. Please try again.');
+            if (error.status === 409) {
+                // Stock changed under us: refresh so each line shows what is actually available
+                await this.checkCartStock();
+                this.displayCheckout();
+                this.showError(`Some items in your cart are no longer available in that quantity. ${error.message}`);
+            } else {
+                if (error instanceof ApiError && error.fieldErrors) this.showCheckoutErrors(form, error.fieldErrors);
+                this.showError(this.describeError(error, 'Failed to place order. Please try again.'));
+            }
         } finally {
             this.hideLoading();
         }
     }
 
     async submitAddProductForm() {
+        if (!this.requirePermission('admin:manage')) return;
         const form = document.getElementById('add-product-form');
-        const formData = new FormData(form);
-
-        const productData = {
-            name: formData.get('product-name'),
-            price: parseFloat(formData.get('product-price')),
-            description: formData.get('product-description'),
-            category: formData.get('product-category'),
-            image: formData.get('product-image'),
-            stock: parseInt(formData.get('product-stock'))
-        };
+        const { data: productData, errors } = PRODUCT_SCHEMA.validate(this.readProductForm('product'), { products: this.products });
+        if (Object.keys(errors).length > 0) {
+            this.showProductErrors(form, 'product', errors);
+            return;
+        }
+        this.clearFieldErrors(form);
 
         this.showLoading('Adding product...');
         try {
             const response = await api.createProduct(productData);
+            const before = [...this.products];
             this.products.push(response.data);
-            form.reset();
-            this.loadAdminProducts();
+            this.resetAddProductForm();
+            this.applyAdminProductFilters();
             this.displayProducts();
             this.showSuccess('Product added successfully!');
-            
-            SimpleShop.updateImagePreview('');
+            this.notifyLowStock(before);
+
         } catch (error) {
-            this.showError('Failed to add product. Please try again.');
+            if (error instanceof ApiError && error.fieldErrors) this.showProductErrors(form, 'product', error.fieldErrors);
+            this.showError(this.describeError(error, 'Failed to add product. Please try again.'));
             console.error(error);
         } finally {
             this.hideLoading();
         }
     }
 
+    resetAddProductForm() {
+        const form = document.getElementById('add-product-form');
+        form.reset();
+        this.clearFieldErrors(form);
+        this.renderVariantEditor(document.getElementById('product-variants'));
+        this.setImageDraft('product-images', []);
+        this.clearProductDraft();
+    }
+
+    // The add-product form is saved to localStorage as it is filled in, so a
+    // refresh or closed tab doesn't lose it. Cleared once the product is added.
+    saveProductDraft() {
+        const draft = { ...this.readProductForm('product'), savedAt: new Date().toISOString() };
+        const empty = ['name', 'price', 'stock', 'reorderThreshold', 'weight', 'description', 'category', 'images', 'options']
+            .every(field => PRODUCT_SCHEMA.blank(draft[field]));
+        if (empty) {
+            this.clearProductDraft();
+            return;
+        }
+
+        try {
+            localStorage.setItem('productDraft', JSON.stringify(draft));
+        } catch (error) {
+            // Uploaded photos can be more than storage allows; keep everything else
+            console.error('Error saving product draft:', error);
+            try {
+                const images = draft.images.filter(image => !image.url.startsWith('data:'));
+                localStorage.setItem('productDraft', JSON.stringify({ ...draft, images }));
+            } catch (retryError) {
+                console.error('Error saving product draft:', retryError);
+                return;
+            }
+        }
+        this.showDraftStatus(draft.savedAt);
+    }
+
+    queueProductDraft() {
+        clearTimeout(this.productDraftTimer);
+        this.productDraftTimer = setTimeout(() => this.saveProductDraft(), 500);
+    }
+
+    restoreProductDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem('productDraft'));
+        } catch (error) {
+            console.error('Error reading product draft:', error);
+        }
+        if (!draft || typeof draft !== 'object') return;
+
+        const fields = { name: 'name', price: 'price', stock: 'stock', reorderThreshold: 'reorder-threshold', weight: 'weight', description: 'description', category: 'category' };
+        Object.entries(fields).forEach(([field, suffix]) => {
+            const input = document.getElementById(`product-${suffix}`);
+            if (input && typeof draft[field] === 'string') input.value = draft[field];
+        });
+        this.setImageDraft('product-images', Array.isArray(draft.images) ? draft.images.filter(image => image && image.url) : []);
+        this.renderVariantEditor(document.getElementById('product-variants'), {
+            options: Array.isArray(draft.options) ? draft.options : [],
+            variants: Array.isArray(draft.variants) ? draft.variants : []
+        });
+        this.showDraftStatus(draft.savedAt);
+    }
+
+    clearProductDraft() {
+        localStorage.removeItem('productDraft');
+        this.showDraftStatus(null);
+    }
+
+    discardProductDraft() {
+        if (!confirm('Discard this draft and clear the form?')) return;
+        this.resetAddProductForm();
+    }
+
+    showDraftStatus(savedAt) {
+        const status = document.getElementById('product-draft-status');
+        if (!status) return;
+        status.classList.toggle('hidden', !savedAt);
+        const time = status.querySelector('time');
+        if (savedAt && time) {
+            time.dateTime = savedAt;
+            time.textContent = new Date(savedAt).toLocaleTimeString();
+        }
+    }
+
     async deleteProduct(productId) {
+        if (!this.requirePermission('admin:manage')) return;
         if (!confirm('Are you sure you want to delete this product?')) return;
 
         this.showLoading('Deleting product...');
@@ -1079,12 +7641,12 @@ class SimpleShop {
             this.cart = this.cart.filter(item => item.id !== productId);
             localStorage.setItem('cart', JSON.stringify(this.cart));
             
-            this.loadAdminProducts();
+            this.applyAdminProductFilters();
             this.displayProducts();
             this.updateCartDisplay();
             this.showSuccess('Product deleted successfully!');
         } catch (error) {
-            this.showError('Failed to delete product. Please try again.');
+            this.showError(this.describeError(error, 'Failed to delete product. Please try again.'));
             console.error(error);
         } finally {
             this.hideLoading();
@@ -1105,6 +7667,23 @@ class SimpleShop {
         if (loadingModalEl) loadingModalEl.classList.add('hidden');
     }
 
+    // Turns an ApiError into something a shopper or admin can act on; anything
+    // unexpected falls back to the caller's generic message.
+    describeError(error, fallback) {
+        if (!(error instanceof ApiError)) return fallback;
+
+        switch (error.code) {
+            case 'TIMEOUT':
+                return 'The server took too long to respond. Please try again.';
+            case 'NETWORK':
+                return 'Could not reach the server. Check your connection and try again.';
+        }
+
+        if (error.status >= 500) return `${fallback} (server error ${error.status})`;
+        if (error.status >= 400 && error.message) return error.message;
+        return fallback;
+    }
+
     showSuccess(message) {
         this.showNotification(message, 'success');
     }
@@ -1129,12 +7708,16 @@ class SimpleShop {
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) modal.classList.add('hidden');
-    }
-}
 
-// Global modal close function
-function closeModal(modalId) {
-    document.getElementById(modalId).classList.add('hidden');
+        // Dismissing the verification prompt cancels the payment
+        if (modalId === 'payment-challenge-modal') this.resolvePaymentChallenge(null);
+
+        // The order details modal has its own URL; go back to the list it was opened from
+        if (modalId === 'order-details-modal' && Router.parse().path.startsWith('/order/')) {
+            this.currentTab = 'manage-orders';
+            this.syncAdminRoute({ replace: true });
+        }
+    }
 }
 
 // Initialize the shop